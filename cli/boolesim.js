@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/*
+ * boolesim - run BooleSim simulations from the command line
+ *
+ * Loads a Python BooleanNet, R BoolNet, bnet, MaBoSS or jSBGN file,
+ * simulates it from the given initial state until an attractor is reached
+ * and writes the trajectory and the attractor as CSV or JSON. The
+ * browser's rule parser (js/parser.js), file readers (js/booleannet.js,
+ * js/maboss.js), simulation engine (js/engine.js) and random number
+ * generator (js/bitparallel.js) are reused, so that results match the
+ * interactive simulator.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var usage = [
+    'Usage: boolesim [options] <network file>',
+    '',
+    'Options:',
+    '  -f, --format <format>     python, r, bnet, maboss or jsbgn (default: inferred);',
+    '                            the .cfg file of a MaBoSS model is read from',
+    '                            next to its .bnd file',
+    '  -i, --initial <state>     initial state: true, false, random, file or',
+    '                            a list of assignments like "A=1,B=0"',
+    '                            (default: file, missing nodes are true)',
+    '  -u, --update <scheme>     synchronous, randomOrder, asynchronous,',
+    '                            sequential or ranked (default: synchronous)',
+    '      --order <nodes>       node order for the sequential scheme, e.g. "A,B,C"',
+    '  -n, --steps <number>      maximum number of iterations (default: 1000)',
+    '  -s, --seed <number>       seed for random initial states and update orders',
+    '  -o, --output <file>       output file (default: standard output)',
+    '  -t, --to <format>         csv or json (default: by output file extension, csv)',
+    '  -q, --quiet               do not print a summary to standard error',
+    '  -h, --help                show this help'
+].join('\n');
+
+/*
+ * Load the browser scripts needed for simulation into a sandbox.
+ * @returns {Object} The sandbox holding the scripts' globals.
+ */
+var loadBooleSim = function () {
+    var sandbox = {
+        console: {
+            log: function () {},
+            error: console.error
+        },
+        Math: Math
+    };
+    vm.createContext(sandbox);
+    ['js/parser.js', 'js/booleannet.js', 'js/maboss.js', 'js/engine.js', 'js/bitparallel.js'].forEach(function (file) {
+        var filename = path.join(__dirname, '..', file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), sandbox, { filename: filename });
+    });
+    return sandbox;
+};
+
+/*
+ * Parse the command line arguments.
+ * @param {Array} argv The arguments without node and script name.
+ * @returns {Object} The options.
+ */
+var parseArguments = function (argv) {
+    var options = {
+        format: null,
+        initial: 'file',
+        update: 'synchronous',
+        order: [],
+        steps: 1000,
+        seed: null,
+        output: null,
+        to: null,
+        quiet: false,
+        file: null
+    };
+    var i, arg, value;
+    var next = function () {
+        if (i + 1 >= argv.length)
+            throw new Error('Missing value for option ' + arg);
+        return argv[++i];
+    };
+
+    for (i = 0; i < argv.length; i++) {
+        arg = argv[i];
+        switch (arg) {
+        case '-f': case '--format': options.format = next().toLowerCase(); break;
+        case '-i': case '--initial': options.initial = next(); break;
+        case '-u': case '--update': options.update = next(); break;
+        case '--order': options.order = next().split(/[\s,;]+/).filter(function (id) { return id.length > 0; }); break;
+        case '-n': case '--steps':
+            value = parseInt(next(), 10);
+            if (isNaN(value) || value < 0)
+                throw new Error('The number of steps must be a non-negative integer');
+            options.steps = value;
+            break;
+        case '-s': case '--seed': options.seed = parseInt(next(), 10); break;
+        case '-o': case '--output': options.output = next(); break;
+        case '-t': case '--to': options.to = next().toLowerCase(); break;
+        case '-q': case '--quiet': options.quiet = true; break;
+        case '-h': case '--help': options.help = true; break;
+        default:
+            if (arg[0] === '-' && arg.length > 1)
+                throw new Error('Unknown option ' + arg);
+            if (options.file !== null)
+                throw new Error('Only one network file may be given');
+            options.file = arg;
+        }
+    }
+    if (['synchronous', 'randomOrder', 'asynchronous', 'sequential', 'ranked'].indexOf(options.update) < 0)
+        throw new Error('Unknown update scheme ' + options.update);
+    if (options.to === null)
+        options.to = (options.output !== null && /\.json$/i.test(options.output)) ? 'json' : 'csv';
+    if (options.to !== 'csv' && options.to !== 'json')
+        throw new Error('Unknown output format ' + options.to);
+    return options;
+};
+
+/*
+ * Print diagnostics in the style of compilers, e.g.
+ * "model.r:3:7: error: Missing logical operator before 'B'".
+ */
+var printDiagnostics = function (diagnostics, filename) {
+    diagnostics.forEach(function (d) {
+        var position = [filename];
+        if (d.line !== null)
+            position.push(d.line);
+        if (d.column !== null)
+            position.push(d.column);
+        console.error(position.join(':') + ': ' + d.severity + ': ' + d.message +
+                      (d.hint.length > 0 ? ' (' + d.hint + ')' : ''));
+    });
+};
+
+/*
+ * Read the network from a file.
+ * @returns {Object} The network's rules, priority classes, the initial
+ * values given by the file and the diagnostics.
+ */
+var readNetwork = function (booleSim, data, format, filename) {
+    var jsbgn, parsed, cfgFile;
+
+    if (format === null)
+        format = (booleSim.guessNetworkFormatFromFilename(filename) || booleSim.guessNetworkFormat(data) || '').toLowerCase();
+
+    if (format === 'python' || format === 'r') {
+        return booleSim.parseBooleanNetwork(data, format === 'r' ? ',' : '=', false);
+    }
+    if (format === 'bnet')
+        return booleSim.parseBooleanNetwork(data, ',', false, 'bnet');
+    if (format === 'maboss') {
+        cfgFile = filename.replace(/(\.bnd)?$/i, '.cfg');
+        parsed = booleSim.parseMaBoSS(data, fs.existsSync(cfgFile) ? fs.readFileSync(cfgFile, 'utf8') : '');
+        parsed.priority = {};
+        return parsed;
+    }
+    if (format === 'jsbgn') {
+        jsbgn = JSON.parse(data);
+        return {
+            rules: jsbgn.rules || {},
+            priority: jsbgn.priority || {},
+            initialValues: {},
+            diagnostics: []
+        };
+    }
+    if (format === 'sbml' || format === 'ginml')
+        throw new Error(format.toUpperCase() + ' files can only be imported in the browser');
+    throw new Error('The format of ' + filename + ' could not be inferred, please specify it using --format');
+};
+
+/*
+ * Set up the initial state of all nodes, including those that occur in
+ * rules only.
+ */
+var initialState = function (booleSim, network, spec, random) {
+    var state = {}, id, i, assignments, parts;
+    var ids = Object.keys(network.rules);
+
+    for (id in network.rules) {
+        booleSim.ruleNodeIDs(booleSim.parseRule(network.rules[id])).forEach(function (source) {
+            if (ids.indexOf(source) < 0)
+                ids.push(source);
+        });
+    }
+
+    for (i = 0; i < ids.length; i++) {
+        id = ids[i];
+        if (spec === 'true')
+            state[id] = true;
+        else if (spec === 'false')
+            state[id] = false;
+        else if (spec === 'random')
+            state[id] = random() < 0.5;
+        else if (network.initialValues.hasOwnProperty(id) && network.initialValues[id] !== null)
+            state[id] = network.initialValues[id];
+        else if (network.initialValues.hasOwnProperty(id))
+            state[id] = random() < 0.5;
+        else
+            state[id] = true;
+    }
+
+    if (['true', 'false', 'random', 'file'].indexOf(spec) < 0) {
+        assignments = spec.split(/[\s,;]+/);
+        for (i = 0; i < assignments.length; i++) {
+            if (assignments[i].length === 0)
+                continue;
+            parts = assignments[i].split('=');
+            if (parts.length !== 2 || !state.hasOwnProperty(parts[0]) || !/^(0|1|true|false)$/i.test(parts[1]))
+                throw new Error('Invalid initial state assignment "' + assignments[i] + '"');
+            state[parts[0]] = /^(1|true)$/i.test(parts[1]);
+        }
+    }
+    return state;
+};
+
+/*
+ * Simulate until a steady state is reached or a state recurs. With the
+ * random update schemes, only steady states are recognized as attractors.
+ * @returns {Object} The trajectory and the attractor (null if none was found).
+ */
+var simulate = function (engine, steps) {
+    var attractor = null, i;
+
+    engine.on('steady', function (event) {
+        attractor = {
+            type: 'steady',
+            length: 1,
+            firstIteration: event.iteration - 1,
+            states: engine.trajectory(event.iteration - 1, event.iteration)
+        };
+    });
+    engine.on('cycle', function (event) {
+        attractor = {
+            type: 'cycle',
+            length: event.length,
+            firstIteration: event.firstIteration,
+            states: event.states
+        };
+    });
+
+    for (i = 0; i < steps && attractor === null; i++)
+        engine.step();
+    return { trajectory: engine.trajectory(), attractor: attractor };
+};
+
+/*
+ * Format the result as CSV: one row per iteration, one column per node,
+ * the last column marks the states belonging to the attractor.
+ */
+var toCSV = function (nodes, result) {
+    var lines = ['iteration,' + nodes.join(',') + ',attractor'];
+    var a = result.attractor;
+    result.trajectory.forEach(function (state, iteration) {
+        var inAttractor = a !== null && iteration >= a.firstIteration && iteration < a.firstIteration + a.length;
+        lines.push(iteration + ',' + nodes.map(function (id) {
+            return +state[id];
+        }).join(',') + ',' + (+inAttractor));
+    });
+    return lines.join('\n') + '\n';
+};
+
+/*
+ * Format the result as JSON with states given as 0/1 like in R BoolNet.
+ */
+var toJSON = function (nodes, result, options) {
+    var binary = function (state) {
+        var b = {};
+        nodes.forEach(function (id) {
+            b[id] = +state[id];
+        });
+        return b;
+    };
+    return JSON.stringify({
+        model: path.basename(options.file),
+        update: options.update,
+        seed: options.seed,
+        nodes: nodes,
+        trajectory: result.trajectory.map(binary),
+        attractor: result.attractor === null ? null : {
+            type: result.attractor.type,
+            length: result.attractor.length,
+            firstIteration: result.attractor.firstIteration,
+            states: result.attractor.states.map(binary)
+        }
+    }, null, 2) + '\n';
+};
+
+var main = function (argv) {
+    var options = parseArguments(argv);
+    if (options.help || options.file === null) {
+        console.log(usage);
+        return options.help ? 0 : 1;
+    }
+
+    var booleSim = loadBooleSim();
+    var random = options.seed === null ? Math.random : booleSim.seededRandom(options.seed);
+    var data = fs.readFileSync(options.file, 'utf8');
+    var network = readNetwork(booleSim, data, options.format, options.file);
+    if (booleSim.hasDiagnosticErrors(network.diagnostics)) {
+        printDiagnostics(network.diagnostics, options.file);
+        throw new Error('Could not read ' + options.file);
+    }
+    if (!options.quiet)
+        printDiagnostics(network.diagnostics, options.file);
+    var state = initialState(booleSim, network, options.initial, random);
+
+    var engine = new booleSim.SimulationEngine({
+        rules: network.rules,
+        priority: network.priority,
+        state: state
+    }, {
+        updateScheme: options.update,
+        updateOrder: options.order,
+        random: random
+    });
+    var failed = engine.compile();
+    if (failed.length > 0)
+        throw new Error('Syntax errors in the rules of ' + failed.join(', '));
+
+    var result = simulate(engine, options.steps);
+    var nodes = Object.keys(state);
+    var output = options.to === 'json' ? toJSON(nodes, result, options) : toCSV(nodes, result);
+
+    if (options.output === null)
+        process.stdout.write(output);
+    else
+        fs.writeFileSync(options.output, output);
+
+    if (!options.quiet) {
+        if (result.attractor === null)
+            console.error('No attractor reached within ' + options.steps + ' iterations.');
+        else if (result.attractor.type === 'steady')
+            console.error('Reached a steady state after ' + result.attractor.firstIteration + ' iterations.');
+        else
+            console.error('Reached a cyclic attractor of length ' + result.attractor.length + ' after ' + result.attractor.firstIteration + ' iterations.');
+    }
+    return 0;
+};
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+    console.error('boolesim: ' + e.message);
+    process.exitCode = 2;
+}
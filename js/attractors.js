@@ -0,0 +1,686 @@
+/*
+ * Generate a map for the state of the network.
+ * @param {Object} state The state of the network.
+ * @return {string} A map of the state of the network
+ */
+encodeStateMap = function (state) {
+    var map = '',
+        i;
+    for (i in state)
+        map += +state[i];
+    return map;
+};
+
+/*
+ * Decode the map of the state of the network
+ * @param {string} map The map of the state of the network, optionally
+ * prefixed with "state" as used for the ids of the nodes in the state
+ * transition graph
+ * @returns {Object} The state of the network
+ */
+decodeStateMap = function (map) {
+    var state = {}, i, j = 0;
+    map = map.replace(/^state/, '');
+    for (i in network.state)
+        state[i] = Boolean(parseInt(map[j++], 10));
+    return state;
+};
+
+/*
+ * The maximum number of states drawn in the state transition graph.
+ */
+var maxDrawnStates = 256;
+
+/*
+ * Assign the state defined by the node in the State transition graph
+ * to the nodes in the Network graph.
+ */
+copyStateNetwork = function () {
+    var id = $(this)
+        .attr('id');
+    engine.setState(decodeStateMap(id));
+};
+
+/*
+ * Remove the results of a previous analysis, e.g. because the network
+ * changed.
+ */
+clearAnalysis = function () {
+    $('#tableAttractors').html('');
+    $('#textAnalysis').text('');
+    $('#graphStateTransition').html('');
+    transitionGraph = null;
+};
+
+/*
+ * Enumerate the whole state space of the network, list its attractors
+ * with their basins and, for small networks, draw the state transition
+ * graph.
+ */
+findAttractors = function () {
+    if (network === null)
+        return;
+    if (running)
+        stopSimulator();
+    cancelAttractorSearch();
+
+    var n = Object.keys(network.state).length;
+    clearAnalysis();
+    if (n > maxAnalysisNodes) {
+        $('#textAnalysis').text('The network has ' + n + ' nodes. The state space can only be enumerated for up to ' +
+                                maxAnalysisNodes + ' nodes, please search from random states instead.');
+        return;
+    }
+    var onResult = function (result) {
+        finishAttractorSearch();
+        withSuccessorsOf(result);
+        var summary = result.size + ' states, ' + result.attractors.length + ' attractor(s)';
+        if (!result.deterministic)
+            summary += ', asynchronous semantics: basins may overlap';
+        if (result.size <= maxDrawnStates)
+            drawStateTransitionGraph(result);
+        else
+            summary += '. The state transition graph is drawn for up to ' + maxDrawnStates + ' states only.';
+        $('#textAnalysis').text(summary);
+        showAttractorTable(result.nodes, result.attractors.map(function (a) {
+            return {
+                type: a.type,
+                basin: a.basin,
+                states: a.states.map(function (code) {
+                    return encodeStateMap(decodeStateIndex(result.nodes, code));
+                })
+            };
+        }), result.size, 'Basin size');
+    };
+    var onError = function (message) {
+        finishAttractorSearch();
+        $('#textAnalysis').text('State space analysis failed: ' + message);
+    };
+
+    $('#textAnalysis').text('Analysing ' + Math.pow(2, n) + ' states ...');
+    $('#progressSearch').attr('value', 0).css('visibility', 'visible');
+    $('#buttonCancelSearch').button('enable');
+    attractorJob = startAnalysisJob('js/statespaceworker.js', {
+        network: {
+            rules: network.rules,
+            state: network.state,
+            freeze: network.freeze,
+            clamp: network.clamp,
+            priority: network.priority
+        },
+        options: { updateScheme: config.updateScheme, updateOrder: config.updateOrder }
+    }, function () {
+        return new StateSpaceAnalysis(engine);
+    }, function (progress) {
+        $('#progressSearch').attr('value', progress);
+    }, onResult, onError);
+};
+
+/*
+ * The running analysis of the state space or attractor search, see
+ * startAnalysisJob.
+ */
+var attractorJob = null;
+
+/*
+ * Run an analysis in a Web Worker or, where workers are not available
+ * (e.g. for pages opened from the file system), in slices of a timer to
+ * keep the page responsive.
+ * @param {string} script The worker script. It receives the message and
+ * posts {type: 'progress', progress} messages followed by
+ * {type: 'result', result} or {type: 'error', message}.
+ * @param {Object} message The message posted to the worker.
+ * @param {Function} create Returns the analysis to run without workers, an
+ * object with the methods done, runBatch, progress and result.
+ * @param {Function} onProgress Called with the fraction done so far.
+ * @param {Function} onResult Called with the result.
+ * @param {Function} onError Called with an error message.
+ * @returns {Object} The job, whose cancel function stops the analysis.
+ */
+var startAnalysisJob = function (script, message, create, onProgress, onResult, onError) {
+    var job = {
+
+        worker: null,
+        timer: null,
+        cancel: function () {
+            if (job.worker !== null)
+                job.worker.terminate();
+            if (job.timer !== null)
+                clearTimeout(job.timer);
+            job.worker = job.timer = null;
+        }
+    };
+
+    try {
+        job.worker = new Worker(script);
+    } catch (e) {
+        job.worker = null;
+    }
+    if (job.worker !== null) {
+        job.worker.onmessage = function (event) {
+            if (event.data.type === 'progress')
+                onProgress(event.data.progress);
+            else if (event.data.type === 'result')
+                onResult(event.data.result);
+            else
+                onError(event.data.message);
+        };
+        job.worker.onerror = function (event) {
+            event.preventDefault();
+            onError(event.message);
+        };
+        job.worker.postMessage(message);
+        return job;
+    }
+
+    // Without workers, run in slices of 50ms
+    var analysis = create();
+    var slice = function () {
+        var start = Date.now();
+        while (!analysis.done() && Date.now() - start < 50)
+            analysis.runBatch();
+        onProgress(analysis.progress());
+        if (analysis.done())
+            onResult(analysis.result());
+        else
+            job.timer = setTimeout(slice, 0);
+    };
+    job.timer = setTimeout(slice, 0);
+    return job;
+};
+
+
+/*
+ * @returns {Object} The network and the update scheme as expected by the
+ * bit-parallel simulator, see BitParallelSimulator.
+ */
+var attractorSearchModel = function () {
+    return {
+        nodes: Object.keys(network.state),
+        rules: network.rules,
+        frozen: network.freeze,
+        clamp: network.clamp,
+        priority: network.priority,
+        scheme: config.updateScheme,
+        order: config.updateOrder
+    };
+};
+
+/*
+ * Search the attractors reached from random initial states with the
+ * bit-parallel simulator (see js/bitparallel.js), also for networks too
+ * large to enumerate their state space.
+ */
+searchAttractors = function () {
+    if (network === null)
+        return;
+    if (running)
+        stopSimulator();
+    cancelAttractorSearch();
+    clearAnalysis();
+
+    var model = attractorSearchModel();
+    var options = {
+        starts: Math.max(1, parseInt($('#textSearchStarts').val(), 10) || 1024),
+        maxSteps: Math.max(1, parseInt($('#textSearchSteps').val(), 10) || 1000)
+    };
+
+    var onProgress = function (progress) {
+        $('#progressSearch').attr('value', progress);
+    };
+    var onResult = function (result) {
+        finishAttractorSearch();
+        var summary = result.attractors.length + ' attractor(s) reached from ' + result.starts + ' random states';
+        if (result.undetermined > 0)
+            summary += ', ' + result.undetermined + ' did not reach an attractor within ' + options.maxSteps + ' iterations';
+        if (!result.deterministic)
+            summary += '. Asynchronous semantics: only fixed points are recognized';
+        $('#textAnalysis').text(summary + '.');
+        showAttractorTable(result.nodes, result.attractors, result.starts, 'Reached from');
+    };
+    var onError = function (message) {
+        finishAttractorSearch();
+        $('#textAnalysis').text('Attractor search failed: ' + message);
+    };
+
+    $('#textAnalysis').text('Searching attractors from ' + options.starts + ' random states ...');
+    $('#progressSearch').attr('value', 0).css('visibility', 'visible');
+    $('#buttonCancelSearch').button('enable');
+    attractorJob = startAnalysisJob('js/attractorworker.js', { model: model, options: options }, function () {
+        return new AttractorSearch(model, options);
+    }, onProgress, onResult, onError);
+};
+
+/*
+ * Stop the state space analysis or attractor search and reset the
+ * controls.
+ */
+var finishAttractorSearch = function () {
+    if (attractorJob !== null) {
+        attractorJob.cancel();
+        attractorJob = null;
+    }
+    $('#progressSearch').css('visibility', 'hidden');
+    $('#buttonCancelSearch').button('disable');
+};
+
+/*
+ * Cancel a running state space analysis or attractor search.
+ */
+cancelAttractorSearch = function () {
+    if (attractorJob === null)
+        return;
+    finishAttractorSearch();
+    $('#textAnalysis').text('Analysis cancelled.');
+};
+
+/*
+ * List attractors. Clicking a row sets the network to the attractor's
+ * first state.
+ * @param {Array} nodes The node ids in the order of the state maps.
+ * @param {Array} attractors The attractors, each with type, basin and its
+ * states given as maps (see encodeStateMap).
+ * @param {number} total The number of states or starts the basins refer to.
+ * @param {string} basinTitle The heading of the basin column.
+ */
+var showAttractorTable = function (nodes, attractors, total, basinTitle) {
+    var html = '<tr><th>Attractor</th><th>Type</th><th>' + basinTitle + '</th><th>States (active nodes)</th></tr>';
+    var i, j, a, type, states, active;
+
+    for (i = 0; i < attractors.length; i++) {
+        a = attractors[i];
+        if (a.type === 'fixed')
+            type = 'fixed point';
+        else if (a.type === 'cycle')
+            type = 'cycle of length ' + a.states.length;
+        else
+            type = 'complex attractor of ' + a.states.length + ' states';
+
+        states = [];
+        for (j = 0; j < a.states.length && j < 10; j++) {
+            active = nodes.filter(function (id, k) {
+                return a.states[j][k] === '1';
+            });
+            states.push(active.length > 0 ? active.join(', ') : 'all false');
+        }
+        if (a.states.length > 10)
+            states.push('... ' + (a.states.length - 10) + ' more');
+
+        html += '<tr id=attractor' + i + '><td>' + (i + 1) + '</td><td>' + type + '</td>' +
+            '<td>' + a.basin + ' (' + (100 * a.basin / total).toFixed(1) + '%)</td>' +
+            '<td>' + states.join('<br/>') + '</td></tr>';
+    }
+    $('#tableAttractors').html(html);
+
+    $.each(attractors, function (i, a) {
+        $('#attractor' + i).click(function () {
+            engine.setState(decodeStateMap(a.states[0]));
+        });
+    });
+};
+
+/*
+ * Draw the complete state transition graph found by analyseStateSpace.
+ * @param {Object} result The result of the analysis.
+ */
+var drawStateTransitionGraph = function (result) {
+    var doc = new sb.Document();
+    doc.lang(sb.Language.AF);
+
+    var nodeID = function (code) {
+        return 'state' + encodeStateMap(decodeStateIndex(result.nodes, code));
+    };
+    var code, i, source, target, successors;
+
+    for (code = 0; code < result.size; code++) {
+        doc.createNode(nodeID(code))
+            .type(sb.NodeType.SimpleChemical)
+            .label(nodeID(code).substring(5));
+    }
+    for (code = 0; code < result.size; code++) {
+        source = nodeID(code);
+        successors = result.successorsOf(code);
+        for (i = 0; i < successors.length; i++) {
+            target = nodeID(successors[i]);
+            doc.createArc(source + '->' + target)
+                .type(sb.ArcType.PositiveInfluence)
+                .source(source)
+                .target(target);
+        }
+    }
+
+    drawAttractors(doc, result.attractors.map(function (a) {
+        return a.states.map(nodeID);
+    }));
+};
+
+/*
+ * Import the generated Attractor network into the State Transition Graph.
+ * The d3 force layouter is applied to the graph, event handlers are
+ * bound for each node and the attractors are colored.
+ * @param {sb.Document} doc The SBGN document for the graph.
+ * @param {Array} attractors A list of attractors of the graph.
+ */
+drawAttractors = function (doc, attractors) {
+
+    // Convert the SBGN document to jSBGN
+    var jsbgn = new jSBGN();
+    var tmp = JSON.parse(sb.io.write(doc, 'jsbgn'));
+    jsbgn.nodes = tmp.nodes;
+    jsbgn.edges = tmp.edges;
+
+    // Import the State transition graph into a bui.Graph instance
+    controls.importNetwork(jsbgn, '#graphStateTransition');
+
+    // Bind the event handlers for the node
+    var i, id;
+    for (i in jsbgn.nodes) {
+        id = '#' + jsbgn.nodes[i].id;
+        $(id)
+            .hover(showStateBox, removeInfoBox);
+        $(id)
+            .click(copyStateNetwork);
+    }
+    // Color all the attractors with a unique color for each attractor
+    var cycle, j, color;
+    for (i in attractors) {
+        cycle = attractors[i];
+        color = randomColor();
+        for (j in cycle)
+            $('#' + cycle[j] + ' :eq(0)')
+                .css('fill', color);
+    }
+};
+/*
+ * The path found by the last query, a list of states, null if there is none.
+ */
+var queryPath = null;
+
+/*
+ * Remove the result of a previous query, e.g. because the network or its
+ * state changed.
+ */
+clearQuery = function () {
+    $('#textQueryResult').text('');
+    $('#buttonReplayWitness').button('disable');
+    queryPath = null;
+};
+
+/*
+ * Check the CTL formula entered in the Analysis tab in the current state,
+ * see js/ctl.js. Witnesses and counterexamples can be replayed into the
+ * time series.
+ */
+runQuery = function () {
+    if (network === null)
+        return;
+    if (running)
+        stopSimulator();
+    clearQuery();
+
+    var ids = Object.keys(network.state), ast;
+    if (ids.length > maxAnalysisNodes) {
+        $('#textQueryResult').text('The network has ' + ids.length + ' nodes. Queries can only be checked for up to ' +
+                                   maxAnalysisNodes + ' nodes.');
+        return;
+    }
+    try {
+        ast = parseCTL($('#textQuery').val(), ids);
+    } catch (e) {
+        if (!(e instanceof RuleSyntaxError))
+            throw e;
+        $('#textQueryResult').text(e.toString() + (e.hint ? '. ' + e.hint + '.' : ''));
+        return;
+    }
+    $('#textQueryResult').text('Checking ' + Math.pow(2, ids.length) + ' states ...');
+
+    // Give the browser the chance to show the message first
+    setTimeout(function () {
+        var transitions = computeTransitions(engine);
+        var result = checkCTL(ast, transitions, encodeStateIndex(transitions.nodes, network.state));
+        var summary = (result.holds ? 'Holds' : 'Does not hold') + ' in the current state, holds in ' +
+            result.count + ' of ' + transitions.size + ' states';
+        if (!transitions.deterministic)
+            summary += ' (asynchronous semantics)';
+        summary += '.';
+        if (result.path !== null) {
+            summary += ' ' + (result.path.kind === 'witness' ? 'Witness' : 'Counterexample') + ': ' +
+                (result.path.states.length - 1) + ' iteration(s)';
+            if (result.path.loop >= 0)
+                summary += ', ending in a loop of ' + (result.path.states.length - 1 - result.path.loop) + ' state(s)';
+            summary += '.';
+            queryPath = result.path.states.map(function (code) {
+                return decodeStateIndex(transitions.nodes, code);
+            });
+            $('#buttonReplayWitness').button('enable');
+        }
+        $('#textQueryResult').text(summary);
+    }, 50);
+};
+
+/*
+ * Append the path found by the last query to the time series, starting
+ * from the state it was found for.
+ */
+replayWitness = function () {
+    var path = queryPath, i;
+    if (path === null)
+        return;
+    if (running)
+        stopSimulator();
+    if (engine.encodeState() !== engine.encodeState(path[0]))
+        engine.setState(path[0]);
+    for (i = 1; i < path.length; i++)
+        engine.stepTo(path[i]);
+    clearQuery();
+    $('#textQueryResult').text('Replayed ' + (path.length - 1) + ' iteration(s) into the time series.');
+};
+
+/*
+ * The maximum number of nodes for screening mutants from all states.
+ */
+var maxScreenEnumeratedNodes = 16;
+
+/*
+ * The running mutant screen, see startMutantScreen.
+ */
+var screenJob = null;
+
+/*
+ * Run a mutant screen (see js/mutantscreen.js), see startAnalysisJob.
+ * @param {Object} model The network, see attractorSearchModel.
+ * @param {Object} options The options of the screen, see MutantScreen.
+ * @param {Function} onProgress Called with the fraction screened so far.
+ * @param {Function} onResult Called with the result of the screen.
+ * @param {Function} onError Called with an error message.
+ * @returns {Object} The job, whose cancel function stops the screen.
+ */
+var startMutantScreen = function (model, options, onProgress, onResult, onError) {
+    return startAnalysisJob('js/screenworker.js', { model: model, options: options }, function () {
+        return new MutantScreen(model, options);
+    }, onProgress, onResult, onError);
+};
+
+/*
+ * Remove the results of a previous mutant screen, e.g. because the network
+ * changed.
+ */
+clearScreen = function () {
+    $('#tableScreen').html('');
+    $('#textScreen').text('');
+};
+
+/*
+ * Get the initial states of the mutant screen chosen in the Analysis tab:
+ * the current state, random states or all states.
+ * @param {Array} nodes The node ids.
+ * @returns {Array} The states as maps (see encodeStateMap), null if there
+ * are too many nodes to enumerate all states.
+ */
+var getScreenInitialStates = function (nodes) {
+    var count = Math.max(1, parseInt($('#textScreenStarts').val(), 10) || 256);
+    var states = [], code, i, map;
+    switch ($('#selectScreenStarts').val()) {
+    case 'current':
+        return [encodeStateMap(network.state)];
+    case 'all':
+        if (nodes.length > maxScreenEnumeratedNodes)
+            return null;
+        for (code = 0; code < (1 << nodes.length); code++)
+            states.push(encodeStateMap(decodeStateIndex(nodes, code)));
+        return states;
+    default:
+        for (i = 0; i < count; i++) {
+            map = '';
+            while (map.length < nodes.length)
+                map += Math.random() < 0.5 ? '0' : '1';
+            states.push(map);
+        }
+        return states;
+    }
+};
+
+/*
+ * Screen the single (and optionally double) knockout and/or
+ * overexpression mutants of the network, see js/mutantscreen.js. Frozen
+ * and already clamped nodes are not mutated. The phenotype is given by the
+ * output nodes of the steady states table.
+ */
+screenMutants = function () {
+    if (network === null)
+        return;
+    if (running)
+        stopSimulator();
+    cancelScreen();
+    clearScreen();
+
+    var model = attractorSearchModel();
+    var values = { knockout: [false], overexpression: [true], both: [false, true] }[$('#selectScreenMutations').val()];
+    var candidates = model.nodes.filter(function (id) {
+        return !network.freeze[id] && !network.clamp.hasOwnProperty(id);
+    });
+    var initialStates = getScreenInitialStates(model.nodes);
+    if (initialStates === null) {
+        $('#textScreen').text('The network has ' + model.nodes.length + ' nodes. Mutants can only be screened from all states for up to ' +
+                              maxScreenEnumeratedNodes + ' nodes, please screen from random states instead.');
+        return;
+    }
+    var options = {
+        mutants: listMutants(candidates, values, $('#checkScreenPairs').is(':checked')),
+        outputs: getSteadyStateColumns().outputs,
+        initialStates: initialStates,
+        // A single state is simulated repeatedly with the random schemes
+        starts: initialStates.length > 1 || engine.isDeterministic() ? initialStates.length :
+            Math.max(1, parseInt($('#textScreenStarts').val(), 10) || 256),
+        maxSteps: Math.max(1, parseInt($('#textScreenSteps').val(), 10) || 1000)
+    };
+
+    var onProgress = function (progress) {
+        $('#progressScreen').attr('value', progress);
+    };
+    var onResult = function (result) {
+        finishScreen();
+        showScreenTable(result, options.starts);
+    };
+    var onError = function (message) {
+        finishScreen();
+        $('#textScreen').text('Mutant screen failed: ' + message);
+    };
+
+    $('#textScreen').text('Screening ' + options.mutants.length + ' mutants from ' + options.starts + ' start(s) each ...');
+    $('#progressScreen').attr('value', 0).css('visibility', 'visible');
+    $('#buttonCancelScreen').button('enable');
+    screenJob = startMutantScreen(model, options, onProgress, onResult, onError);
+};
+
+/*
+ * Stop the mutant screen and reset the controls.
+ */
+var finishScreen = function () {
+    if (screenJob !== null) {
+        screenJob.cancel();
+        screenJob = null;
+    }
+    $('#progressScreen').css('visibility', 'hidden');
+    $('#buttonCancelScreen').button('disable');
+};
+
+/*
+ * Cancel a running mutant screen.
+ */
+cancelScreen = function () {
+    if (screenJob === null)
+        return;
+    finishScreen();
+    $('#textScreen').text('Mutant screen cancelled.');
+};
+
+/*
+ * Format the output patterns of a phenotype.
+ * @param {Object} phenotype The phenotype, see MutantScreen.phenotype.
+ * @returns {string} The patterns or a note that no attractor was reached.
+ */
+var formatPhenotype = function (phenotype) {
+    return phenotype.patterns.length > 0 ? phenotype.patterns.join(', ') : 'none reached';
+};
+
+/*
+ * List the mutants of a screen, the ones changing the phenotype most
+ * first. The activity of each output is shown as a heatmap of its change
+ * relative to the wild type: red for more, blue for less active. Clicking
+ * a row applies the mutant's clamps to the network.
+ * @param {Object} result The result of the screen, see MutantScreen.result.
+ * @param {number} starts The number of starts per mutant.
+ */
+var showScreenTable = function (result, starts) {
+    var wildType = result.wildType, mutants = result.mutants.slice();
+    var html, changed, i, j, m, d, color;
+    var change = function (m) {
+        return m.delta.reduce(function (sum, d) {
+            return sum + Math.abs(d);
+        }, 0);
+    };
+
+    mutants.sort(function (a, b) {
+        return (b.changed - a.changed) || (change(b) - change(a));
+    });
+    changed = mutants.filter(function (m) {
+        return m.changed;
+    }).length;
+    $('#textScreen').text(mutants.length + ' mutant(s) screened from ' + starts + ' start(s) each, ' + changed +
+                          ' change the output patterns of the wild type. Output patterns list the outputs ' +
+                          result.outputs.join(', ') + ' (~ = oscillating).');
+
+    html = '<tr><th>Mutant</th><th>Attractors</th><th>Output patterns</th>';
+    for (j = 0; j < result.outputs.length; j++)
+        html += '<th>' + result.outputs[j] + '</th>';
+    html += '</tr><tr class=screenWildType><td>wild type</td><td>' + wildType.attractors + '</td><td>' +
+        formatPhenotype(wildType) + '</td>';
+    for (j = 0; j < result.outputs.length; j++)
+        html += '<td title="Active in ' + (100 * wildType.activity[j]).toFixed(1) + '% of the starts">' +
+            wildType.activity[j].toFixed(2) + '</td>';
+    html += '</tr>';
+
+    for (i = 0; i < mutants.length; i++) {
+        m = mutants[i];
+        html += '<tr id=screen' + i + (m.changed ? ' class=screenChanged' : '') + '><td>' + m.label + '</td><td>' +
+            m.phenotype.attractors + '</td><td>' + formatPhenotype(m.phenotype) + '</td>';
+        for (j = 0; j < result.outputs.length; j++) {
+            d = m.delta[j];
+            color = d > 0 ? 'rgba(220, 40, 40, ' : 'rgba(40, 90, 220, ';
+            html += '<td style="background-color: ' + color + Math.abs(d).toFixed(2) + ');" title="Active in ' +
+                (100 * m.phenotype.activity[j]).toFixed(1) + '% of the starts, wild type ' +
+                (100 * wildType.activity[j]).toFixed(1) + '%">' + (Math.abs(d) < 0.005 ? '' : (d > 0 ? '+' : '') + d.toFixed(2)) + '</td>';
+        }
+        html += '</tr>';
+    }
+    $('#tableScreen').html(html);
+
+    $.each(mutants, function (i, m) {
+        $('#screen' + i).click(function () {
+            var id;
+            for (id in m.mutant)
+                engine.setClamp(id, m.mutant[id]);
+        });
+    });
+};
@@ -0,0 +1,25 @@
+/*
+ * Web Worker searching the attractors of a network, so that the page stays
+ * responsive. It receives {model, options} (see AttractorSearch) and posts
+ * {type: 'progress', progress} messages followed by {type: 'result', result}
+ * or {type: 'error', message}. The search is cancelled by terminating the
+ * worker.
+ */
+importScripts('parser.js', 'bitparallel.js');
+
+onmessage = function (event) {
+    var search, last = 0;
+    try {
+        search = new AttractorSearch(event.data.model, event.data.options);
+        while (!search.done()) {
+            search.runBatch();
+            if (Date.now() - last > 100) {
+                postMessage({ type: 'progress', progress: search.progress() });
+                last = Date.now();
+            }
+        }
+        postMessage({ type: 'result', result: search.result() });
+    } catch (e) {
+        postMessage({ type: 'error', message: e.message || String(e) });
+    }
+};
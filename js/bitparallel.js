@@ -0,0 +1,361 @@
+/*
+ * Bit-parallel simulation of Boolean networks, used to search the
+ * attractors of networks too large for enumerating their state space.
+ * 32 trajectories ("lanes") are simulated at once: every node's states
+ * are packed into one word of an Int32Array, bit k belonging to lane k,
+ * and the rules are evaluated with bitwise operators (see
+ * compileBitwiseRule). Nothing in here depends on the DOM, so that it
+ * can run in a Web Worker (see js/attractorworker.js).
+ */
+
+/*
+ * Simple seedable pseudo random number generator (mulberry32).
+ * @param {number} seed The seed.
+ * @returns {Function} A function returning numbers in [0, 1).
+ */
+var seededRandom = function (seed) {
+    return function () {
+        var t = seed += 0x6D2B79F5;
+        t = Math.imul(t ^ t >>> 15, t | 1);
+        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Simulator for 32 trajectories of a network at once.
+ * @param {Object} model The network: nodes (the node ids), rules (by node,
+ * in JavaScript syntax), frozen (by node), clamp (the value of the clamped
+ * nodes, see SimulationEngine.setClamp), priority (by node), scheme (the
+ * update scheme) and order (for the sequential scheme). The random schemes
+ * asynchronous and randomOrder are both simulated asynchronously.
+ * @constructor
+ */
+var BitParallelSimulator = function (model) {
+    var indices = {}, i, id, rank, ranks = [], classes = {};
+
+    this.nodes = model.nodes;
+    this.n = model.nodes.length;
+    this.functions = [];
+    this.deterministic = ['synchronous', 'sequential', 'ranked'].indexOf(model.scheme || 'synchronous') > -1;
+
+    for (i = 0; i < this.n; i++)
+        indices[this.nodes[i]] = i;
+    for (i = 0; i < this.n; i++) {
+        id = this.nodes[i];
+        if (model.frozen && model.frozen[id])
+            this.functions.push(null);
+        else if (model.clamp && model.clamp.hasOwnProperty(id))
+            this.functions.push(compileBitwiseRule({ type: 'const', value: model.clamp[id] }, indices));
+        else if (typeof (model.rules[id]) === 'undefined')
+            this.functions.push(compileBitwiseRule({ type: 'id', name: id }, indices));
+        else
+            this.functions.push(compileBitwiseRule(parseRule(model.rules[id], { dialect: 'js' }), indices));
+    }
+
+    // The update is a sequence of groups of nodes, the nodes of a group are
+    // updated synchronously
+    this.groups = [];
+    switch (model.scheme) {
+    case 'sequential':
+        var order = (model.order || []).filter(function (id) {
+            return indices.hasOwnProperty(id);
+        });
+        for (i = 0; i < this.n; i++) {
+            if (order.indexOf(this.nodes[i]) < 0)
+                order.push(this.nodes[i]);
+        }
+        for (i = 0; i < order.length; i++)
+            this.groups.push([indices[order[i]]]);
+        break;
+    case 'ranked':
+        for (i = 0; i < this.n; i++) {
+            rank = (model.priority && model.priority.hasOwnProperty(this.nodes[i])) ? model.priority[this.nodes[i]] : 1;
+            if (!classes.hasOwnProperty(rank)) {
+                classes[rank] = [];
+                ranks.push(rank);
+            }
+            classes[rank].push(i);
+        }
+        ranks.sort(function (a, b) {
+            return a - b;
+        });
+        for (i = 0; i < ranks.length; i++)
+            this.groups.push(classes[ranks[i]]);
+        break;
+    default:
+        this.groups.push([]);
+        for (i = 0; i < this.n; i++)
+            this.groups[0].push(i);
+    }
+
+    this.values = new Int32Array(this.n);
+    this.candidates = [];
+    for (i = 0; i < this.n; i++) {
+        if (this.functions[i] !== null)
+            this.candidates.push(i);
+    }
+};
+
+/**
+ * Advance all lanes by one iteration with the deterministic schemes.
+ * @param {Int32Array} words The states, updated in place.
+ */
+BitParallelSimulator.prototype.step = function (words) {
+    var g, group, i, j;
+    for (g = 0; g < this.groups.length; g++) {
+        group = this.groups[g];
+        for (i = 0; i < group.length; i++) {
+            j = group[i];
+            this.values[j] = this.functions[j] === null ? words[j] : this.functions[j](words);
+        }
+        for (i = 0; i < group.length; i++)
+            words[group[i]] = this.values[group[i]];
+    }
+};
+
+/**
+ * Find the lanes whose state is a fixed point.
+ * @param {Int32Array} words The states.
+ * @returns {number} The mask of the lanes in a fixed point.
+ */
+BitParallelSimulator.prototype.steadyLanes = function (words) {
+    var unstable = 0, i;
+    for (i = 0; i < this.n; i++) {
+        this.values[i] = this.functions[i] === null ? words[i] : this.functions[i](words);
+        unstable |= this.values[i] ^ words[i];
+    }
+    return ~unstable;
+};
+
+/**
+ * Advance all lanes by one asynchronous iteration: in every lane one
+ * randomly chosen node is updated. steadyLanes must have been called for
+ * the same states before, as it computes the nodes' new values.
+ * @param {Int32Array} words The states, updated in place.
+ * @param {Function} random A function returning numbers in [0, 1).
+ */
+BitParallelSimulator.prototype.asynchronousStep = function (words, random) {
+    var chosen = new Int32Array(this.n), k, j;
+    if (this.candidates.length === 0)
+        return;
+    for (k = 0; k < 32; k++)
+        chosen[this.candidates[Math.floor(random() * this.candidates.length)]] |= 1 << k;
+    for (j = 0; j < this.n; j++) {
+        if (chosen[j] !== 0)
+            words[j] = (words[j] & ~chosen[j]) | (this.values[j] & chosen[j]);
+    }
+};
+
+/**
+ * Extract the state of one lane.
+ * @param {Int32Array} words The states.
+ * @param {number} lane The lane.
+ * @returns {string} The state, one digit (0 or 1) per node like encodeStateMap.
+ */
+BitParallelSimulator.prototype.laneState = function (words, lane) {
+    var map = '', i;
+    for (i = 0; i < this.n; i++)
+        map += (words[i] >>> lane) & 1;
+    return map;
+};
+
+/**
+ * Search the attractors reached from random or given initial states, 32
+ * starts per batch. With the deterministic schemes, each lane's cycle is
+ * found with Brent's algorithm; with the random schemes only fixed points
+ * are recognized. Call runBatch until done returns true, then read result.
+ * @param {Object} model The network, see BitParallelSimulator.
+ * @param {Object} options starts (number of initial states, default 1024),
+ * maxSteps (per start, default 1000), seed (default random) and
+ * initialStates (optional, states like BitParallelSimulator.laneState;
+ * the starts cycle through them instead of being random).
+ * @constructor
+ */
+var AttractorSearch = function (model, options) {
+    options = options || {};
+    this.simulator = new BitParallelSimulator(model);
+    this.starts = options.starts || 1024;
+    this.maxSteps = options.maxSteps || 1000;
+    this.initialStates = options.initialStates || null;
+    this.random = seededRandom(typeof (options.seed) === 'number' ? options.seed : Math.floor(Math.random() * 4294967296));
+    this.finished = 0;
+    this.undetermined = 0;
+    this.attractors = {};
+};
+
+/**
+ * @returns {Boolean} Whether all starts have been simulated.
+ */
+AttractorSearch.prototype.done = function () {
+    return this.finished >= this.starts;
+};
+
+/**
+ * @returns {number} The fraction of starts simulated so far.
+ */
+AttractorSearch.prototype.progress = function () {
+    return Math.min(1, this.finished / this.starts);
+};
+
+/**
+ * Record that a lane reached an attractor.
+ * @param {Array} states The attractor's states in the order they are passed.
+ */
+AttractorSearch.prototype.addAttractor = function (states) {
+    var first = 0, i, key;
+    // Start the cycle with its smallest state, so that every attractor
+    // is recorded once
+    for (i = 1; i < states.length; i++) {
+        if (states[i] < states[first])
+            first = i;
+    }
+    states = states.slice(first).concat(states.slice(0, first));
+    key = states.join(' ');
+    if (!this.attractors.hasOwnProperty(key)) {
+        this.attractors[key] = {
+            type: states.length === 1 ? 'fixed' : 'cycle',
+            states: states,
+            basin: 0
+        };
+    }
+    this.attractors[key].basin++;
+};
+
+/**
+ * Simulate the next 32 starts.
+ */
+AttractorSearch.prototype.runBatch = function () {
+    var sim = this.simulator, n = sim.n;
+    var lanes = Math.min(32, this.starts - this.finished);
+    var active = lanes === 32 ? -1 : (1 << lanes) - 1;
+    var words = new Int32Array(n), i, k, state;
+
+    if (this.initialStates !== null) {
+        for (k = 0; k < lanes; k++) {
+            state = this.initialStates[(this.finished + k) % this.initialStates.length];
+            for (i = 0; i < n; i++) {
+                if (state[i] === '1')
+                    words[i] |= 1 << k;
+            }
+        }
+    } else {
+        for (i = 0; i < n; i++)
+            words[i] = Math.floor(this.random() * 4294967296) | 0;
+    }
+
+    if (sim.deterministic)
+        this.runDeterministicBatch(words, active);
+    else
+        this.runAsynchronousBatch(words, active);
+    this.finished += lanes;
+};
+
+/**
+ * Find the cycle of every lane with Brent's algorithm, then walk around
+ * the cycles to collect their states.
+ */
+AttractorSearch.prototype.runDeterministicBatch = function (words, active) {
+    var sim = this.simulator, n = sim.n;
+    var tortoise = new Int32Array(words), hare = new Int32Array(words);
+    var cycleStart = new Int32Array(n), lengths = new Int32Array(32);
+    var found = 0, newly, diff, power = 1, lam = 1, maxLength = 0;
+    var t, i, k, states;
+
+    sim.step(hare);
+    for (t = 1; t <= this.maxSteps; t++) {
+        diff = 0;
+        for (i = 0; i < n; i++)
+            diff |= hare[i] ^ tortoise[i];
+        newly = ~diff & ~found & active;
+        if (newly !== 0) {
+            for (k = 0; k < 32; k++) {
+                if (newly & (1 << k))
+                    lengths[k] = lam;
+            }
+            if (lam > maxLength)
+                maxLength = lam;
+            for (i = 0; i < n; i++)
+                cycleStart[i] = (cycleStart[i] & ~newly) | (hare[i] & newly);
+            found |= newly;
+            if ((found & active) === active)
+                break;
+        }
+        if (power === lam) {
+            tortoise.set(hare);
+            power *= 2;
+            lam = 0;
+        }
+        sim.step(hare);
+        lam++;
+    }
+
+    // Walk around all cycles at once
+    var cycles = [];
+    for (k = 0; k < 32; k++)
+        cycles.push([]);
+    for (t = 0; t < maxLength; t++) {
+        for (k = 0; k < 32; k++) {
+            if ((found & (1 << k)) && t < lengths[k])
+                cycles[k].push(sim.laneState(cycleStart, k));
+        }
+        sim.step(cycleStart);
+    }
+    for (k = 0; k < 32; k++) {
+        if (!(active & (1 << k)))
+            continue;
+        if (found & (1 << k))
+            this.addAttractor(cycles[k]);
+        else
+            this.undetermined++;
+    }
+};
+
+/**
+ * Simulate the lanes asynchronously until all of them reached a fixed point.
+ */
+AttractorSearch.prototype.runAsynchronousBatch = function (words, active) {
+    var sim = this.simulator;
+    var found = 0, newly, t, k;
+
+    for (t = 0; t <= this.maxSteps; t++) {
+        newly = sim.steadyLanes(words) & ~found & active;
+        if (newly !== 0) {
+            for (k = 0; k < 32; k++) {
+                if (newly & (1 << k))
+                    this.addAttractor([sim.laneState(words, k)]);
+            }
+            found |= newly;
+            if ((found & active) === active)
+                break;
+        }
+        sim.asynchronousStep(words, this.random);
+    }
+    for (k = 0; k < 32; k++) {
+        if ((active & (1 << k)) && !(found & (1 << k)))
+            this.undetermined++;
+    }
+};
+
+/**
+ * @returns {Object} The node ids, the number of starts and of starts that
+ * reached no attractor within maxSteps, whether the dynamics are
+ * deterministic and the attractors, each with its type (fixed or cycle),
+ * states (see BitParallelSimulator.laneState) and the number of starts
+ * that reached it (basin). The attractors are sorted by basin.
+ */
+AttractorSearch.prototype.result = function () {
+    var attractors = [], key;
+    for (key in this.attractors)
+        attractors.push(this.attractors[key]);
+    attractors.sort(function (a, b) {
+        return b.basin - a.basin;
+    });
+    return {
+        nodes: this.simulator.nodes,
+        starts: this.finished,
+        undetermined: this.undetermined,
+        deterministic: this.simulator.deterministic,
+        attractors: attractors
+    };
+};
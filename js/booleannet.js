@@ -0,0 +1,348 @@
+/*
+ * Parsing of Python BooleanNet and R BoolNet files.
+ * Nothing in here depends on the DOM, jQuery or libSBGN,
+ * so that the command line runner can use it, too.
+ */
+
+/*
+ * rxncon exported Boolean networks need to be adjusted in order to work with BooleSim.
+ * @param {string} data The data contained in the Boolean Net file.
+ * @returns {string} The adjusted data.
+ */
+var adjustRxnconNetwork = function (data) {
+    if (data.indexOf('*=') + 1 +
+        data.indexOf('-_P_') + 1 +
+        data.indexOf('_P+_') + 1 +
+        data.indexOf('_P-_') + 1 +
+        data.indexOf('_Ub+_') + 1 +
+        data.indexOf('_Ub-_') + 1 +
+        data.indexOf('-_Cytoplasm_') + 1 +
+        data.indexOf('-_Nucleus_') + 1 > 0) {
+        console.log("Not actually Python. Looks like someone is trying to import a rxncon exported boolean network. Converting ...");
+        data = data
+                .replace(/\*\=/g, '=')
+                .replace(/\-_P_/g, '_P')
+                .replace(/_P\+_/g, '_phos_')
+                .replace(/_P\-_/g, '_dephos_')
+                .replace(/_Ub\+_/g, '_ubi_')
+                .replace(/_Ub\-_/g, '_deubi_')
+                .replace(/\-_Cytoplasm_/g, '_Cytoplasm')
+                .replace(/\-_Nucleus_/g, '_Nucleus')
+                .replace(/\-/g, '_');
+                //.replace(/__/g, '_');
+       //console.log(data);
+    }
+    return data;
+};
+
+/*
+ * Create an entry of the list of problems found while importing a file.
+ * @param {string} severity error or warning. Errors abort the import.
+ * @param {number} line The 1-based line number or null.
+ * @param {number} column The 1-based column or null.
+ * @param {string} token The offending text.
+ * @param {string} message Description of the problem.
+ * @param {string} hint A suggestion how to fix the problem.
+ * @returns {Object} The diagnostic.
+ */
+createDiagnostic = function (severity, line, column, token, message, hint) {
+    return {
+        severity: severity,
+        line: line,
+        column: column,
+        token: token || '',
+        message: message,
+        hint: hint || ''
+    };
+};
+
+/*
+ * @param {Array} diagnostics A list of diagnostics.
+ * @returns {Boolean} Whether any of them is an error.
+ */
+hasDiagnosticErrors = function (diagnostics) {
+    for (var i = 0; i < diagnostics.length; i++) {
+        if (diagnostics[i].severity === 'error')
+            return true;
+    }
+    return false;
+};
+
+/*
+ * Format a diagnostic as a single line of text.
+ * @param {Object} diagnostic The diagnostic.
+ * @returns {string} E.g. "Line 3, column 7: Missing logical operator ..."
+ */
+formatDiagnostic = function (diagnostic) {
+    var position = [];
+    if (diagnostic.line !== null)
+        position.push('Line ' + diagnostic.line);
+    if (diagnostic.column !== null)
+        position.push((position.length > 0 ? 'column ' : 'Column ') + diagnostic.column);
+    return (position.length > 0 ? position.join(', ') + ': ' : '') + diagnostic.message +
+        (diagnostic.hint.length > 0 ? ' (' + diagnostic.hint + ')' : '');
+};
+
+/*
+ * Add warnings for regulators without an update rule of their own.
+ * @param {Array} diagnostics The list to add the warnings to.
+ * @param {Object} rules The rules by target node in JavaScript syntax.
+ * @param {Object} positions For each target node, the line and column
+ * its rule starts at and the rule as parsed from the file (optional).
+ */
+checkUndefinedRegulators = function (diagnostics, rules, positions) {
+    var warned = {}, target, ast, ids, i, position;
+    positions = positions || {};
+    for (target in rules) {
+        position = positions[target] || { line: null, column: null };
+        try {
+            ast = position.ast || parseRule(rules[target]);
+        } catch (e) {
+            continue;
+        }
+        ids = ruleNodeIDs(ast);
+        for (i = 0; i < ids.length; i++) {
+            if (rules.hasOwnProperty(ids[i]) || warned.hasOwnProperty(ids[i]))
+                continue;
+            warned[ids[i]] = true;
+            diagnostics.push(createDiagnostic('warning', position.line,
+                position.column === null ? null : position.column + findRuleNodeColumn(ast, ids[i]) - 1,
+                ids[i], 'Node ' + ids[i] + ' regulates ' + target + ' but has no update rule',
+                'Add a rule for ' + ids[i] + ' unless it is an input; it keeps its state during simulation'));
+        }
+    }
+};
+
+/*
+ * @returns {number} The 1-based column of the first occurrence of a node
+ * in a parsed rule, or 1 if it is not known.
+ */
+var findRuleNodeColumn = function (ast, id) {
+    var found = null;
+    var visit = function (node) {
+        if (found !== null)
+            return;
+        if (node.type === 'id' && node.name === id)
+            found = node.column;
+        else if (node.type === 'not')
+            visit(node.arg);
+        else if (node.args)
+            node.args.forEach(visit);
+    };
+    visit(ast);
+    return found || 1;
+};
+
+/*
+ * Parse the update rules of a Boolean Net file (R/Python/bnet).
+ * Lines with errors are skipped, so that all problems of a file are
+ * reported at once.
+ * @param {string} data The data contained in the Boolean Net file.
+ * @param {string} splitKey The character separating the LHS and RHS of
+ * a update rule.
+ * @param {Boolean} reImport Whether the data comes from the rule editor,
+ * i.e. is in JavaScript syntax already.
+ * @param {string} dialect Optional, 'bnet' for the .bnet format of
+ * PyBoolNet and BioLQM, which only accepts &, |, !, 0 and 1 and allows
+ * comments at the end of lines. splitKey must be ','.
+ * @returns {Object} The rules by target node in order of appearance, the
+ * priority classes, the initial values set by the file (true, false or null
+ * for a random value) and the diagnostics (see createDiagnostic).
+ */
+parseBooleanNetwork = function (data, splitKey, reImport, dialect) {
+
+    var targetID;
+    var rules = {}, rule, ast, ruleColumn, targetColumn;
+    var priority = {}, initialValues = {}, rank;
+    var positions = {}, diagnostics = [];
+    var result = {
+        rules: rules,
+        priority: priority,
+        initialValues: initialValues,
+        diagnostics: diagnostics
+    };
+    var error = function (line, column, token, message, hint) {
+        diagnostics.push(createDiagnostic('error', line, column, token, message, hint));
+    };
+
+    data = adjustRxnconNetwork(data);
+
+    // The file consists of multiple lines with each line representing
+    // the update rule for a node
+    var lines, cols, i, j, trimmed, indent, offset, isInitialValue;
+    lines = data.split('\n');
+    console.log('Importing Boolean network from ' + lines.length + ' lines of text ...');
+    for (i = 0; i < lines.length; i++) {
+        trimmed = lines[i].trim();
+        // .bnet files may have comments at the end of lines
+        if (dialect === 'bnet' && trimmed.indexOf('#') > 0)
+            trimmed = trimmed.substring(0, trimmed.indexOf('#')).trim();
+        // Skip empty lines
+        if (trimmed.length === 0) continue;
+        if (trimmed[0] != '#') {
+            indent = lines[i].length - lines[i].replace(/^\s+/, '').length;
+
+            // Python BooleanNet rules may be prefixed with a priority class,
+            // e.g. "2: A* = B and C"
+            rank = null;
+            if (splitKey === '=') {
+                rank = trimmed.match(/^(\d+)\s*:\s*/);
+                if (rank !== null) {
+                    trimmed = trimmed.substring(rank[0].length);
+                    indent += rank[0].length;
+                }
+            }
+
+            // Extract the columns using the split key which is different
+            // for R and Python Boolean Net
+            cols = trimmed.split(splitKey);
+            if (cols.length < 2) {
+                error(i + 1, indent + trimmed.length + 1, '',
+                      "An update rule must have two sides separated by '" + splitKey + "'",
+                      splitKey === ',' ? "Write the rule as 'target, rule'" : "Write the rule as 'target* = rule'");
+                continue;
+            }
+            if (cols.length > 2 && !(splitKey === '=' && !reImport && cols[0].trim().slice(-1) !== '*')) {
+                offset = cols[0].length + 1 + cols[1].length;
+                error(i + 1, indent + offset + 1, splitKey,
+                      "An update rule must have exactly two sides, found another '" + splitKey + "'",
+                      'Split the line into one rule per line');
+                continue;
+            }
+
+            targetID = cols[0].trim();
+            targetColumn = indent + cols[0].indexOf(targetID) + 1;
+            rule = null;
+            isInitialValue = false;
+            if (!reImport) {
+                if (splitKey === ',') {
+                    if (targetID === 'targets') continue;
+                } else {
+                    if (targetID[targetID.length - 1] === '*') {
+                        targetID = targetID.substring(0, targetID.length - 1).trim();
+                    } else {
+                        // Initial node states
+                        isInitialValue = true;
+                        rule = cols[cols.length - 1].trim();
+                        for (j = 0; j < cols.length - 1; j++) {
+                            targetID = cols[j].trim();
+                            if (rule === 'True')
+                                initialValues[targetID] = true;
+                            else if (rule === 'False')
+                                initialValues[targetID] = false;
+                            else
+                                initialValues[targetID] = null;
+                        }
+                        // no update rule
+                        rule = targetID;
+                    }
+                }
+            }
+
+            // Check, whether the targetID contains illegal characters
+            var check = targetID.match(/[A-Za-z0-9_]+/g);
+            if (check === null || check[0] !== targetID) {
+                error(i + 1, targetColumn, targetID, "Bogus target ID '" + targetID + "'",
+                      'Node names may only contain letters, digits and underscores');
+                continue;
+            }
+
+            if (rule === null && cols[1].trim().length === 0)
+                rule = '';
+
+            ruleColumn = indent + cols[0].length + splitKey.length;
+            ast = null;
+            if (rule === null) {
+                // Parse R, Python, bnet or JavaScript logic, the latter being
+                // written by the rule editor; R BoolNet and bnet use 0 and 1 as constants
+                try {
+                    if (reImport)
+                        ast = parseRule(cols[1], { dialect: 'js' });
+                    else if (dialect === 'bnet')
+                        ast = parseRule(cols[1], { dialect: 'bnet', numericConstants: true });
+                    else
+                        ast = parseRule(cols[1], { numericConstants: splitKey === ',' });
+                } catch (e) {
+                    if (!(e instanceof RuleSyntaxError))
+                        throw e;
+                    error(i + 1, ruleColumn + e.column, e.token, e.message, e.hint);
+                    continue;
+                }
+                rule = formatRule(ast, 'js');
+                console.log('Update rule: '+rule);
+            }
+
+            /*
+             * A rule shall neither be empty nor statically be true or false.
+             * Instead such a "static" node shall assume it's previous state upon simulation,
+             * which might be switched by clicking.
+             */
+            if (rule == '' || rule == 'true' || rule == 'false')
+                rule = targetID;
+
+            if (isInitialValue) {
+                // Initial values only define the node, they do not replace its rule
+                if (!rules.hasOwnProperty(targetID))
+                    rules[targetID] = rule;
+            } else {
+                if (positions.hasOwnProperty(targetID))
+                    diagnostics.push(createDiagnostic('warning', i + 1, targetColumn, targetID,
+                        'Node ' + targetID + ' already has an update rule in line ' + positions[targetID].line + ', which is replaced',
+                        'Remove one of the rules or combine them into one'));
+                positions[targetID] = { line: i + 1, column: ruleColumn + 1, ast: ast };
+
+                // Assign rules (right side equation) to nodes (left side of equation)
+                rules[targetID] = rule;
+            }
+            if (rank !== null)
+                priority[targetID] = parseInt(rank[1], 10);
+        }
+    }
+    if (!hasDiagnosticErrors(diagnostics))
+        checkUndefinedRegulators(diagnostics, rules, positions);
+    return result;
+};
+
+/*
+ * Infer the format of a network file from its name.
+ * @param {string} filename The name of the file.
+ * @returns {string} Python, R, BNet, MaBoSS, jSBGN, SBML, GINML or null if
+ * the extension is unknown.
+ */
+guessNetworkFormatFromFilename = function (filename) {
+    var extensions = {
+        py: 'Python', booleannet: 'Python',
+        r: 'R',
+        bnet: 'BNet',
+        bnd: 'MaBoSS',
+        json: 'jSBGN', jsbgn: 'jSBGN',
+        sbml: 'SBML',
+        ginml: 'GINML'
+    };
+    var match = /\.([A-Za-z]+)$/.exec(filename || '');
+    if (match === null || !extensions.hasOwnProperty(match[1].toLowerCase()))
+        return null;
+    return extensions[match[1].toLowerCase()];
+};
+
+/*
+ * Infer the format of a network file from its contents.
+ * @param {string} data The data contained in the file.
+ * @returns {string} Python, R, jSBGN, SBML, GINML, MaBoSS or null if the format is unknown.
+ */
+guessNetworkFormat = function (data) {
+    // XML formats first, their annotations may contain anything
+    if (data.indexOf('<sbml') > -1)
+        return 'SBML';
+    else if (data.indexOf('<gxl') > -1)
+        return 'GINML';
+    else if (/^\s*node\s+[A-Za-z0-9_]+\s*\{/im.test(data))
+        return 'MaBoSS';
+    else if (data.indexOf(' and ') + data.indexOf(' or ') + data.indexOf('*') > -1)
+        return 'Python';
+    else if (data.indexOf(' & ') + data.indexOf(' | ') > -1)
+        return 'R';
+    else if ((data.indexOf(' && ') + data.indexOf(' || ') > -1) || (data.indexOf('"sbgnlang"') > -1))
+        return 'jSBGN';
+    return null;
+};
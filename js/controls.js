@@ -74,9 +74,58 @@ var Controls = function () {
                                 }
                             });
         
+        $('#buttonStepBack')
+            .button( {icons: {primary: "ui-icon-seek-prev"}, text: false} );
+        $('#buttonStep')
+            .button( {icons: {primary: "ui-icon-seek-next"}, text: false} );
+        $('#buttonRunIterations')
+            .button( {icons: {primary: "ui-icon-seek-end"}} );
+        $('#sliderSpeed')
+            .slider( {min: 0, max: simulationDelays.length - 1, value: simulationDelays.indexOf(simDelay)} )
+            .attr('title', simDelay + ' ms per iteration')
+            .bind('slide', function (event, ui) {
+                setSimulationDelay(ui.value);
+            });
+
         $('#buttonResetTime')
             .button( {icons: {primary: "ui-icon-seek-first"}} )
-            .click(function () { resetTimeseries(); });
+            .click(function () {
+                if (engine !== null) engine.reset();
+            });
+        $('#buttonAnalyse')
+            .button( {icons: {primary: "ui-icon-search"}} );
+        $('#buttonSearchAttractors')
+            .button( {icons: {primary: "ui-icon-shuffle"}} );
+        $('#buttonCancelSearch')
+            .button( {icons: {primary: "ui-icon-cancel"}, disabled: true} )
+            .click(function () {
+                cancelAttractorSearch();
+            });
+        $('#sliderTimeseriesZoom')
+            .slider( {min: 1, max: 20, value: 20} );
+        $('#buttonSaveSchedule')
+            .button( {icons: {primary: "ui-icon-check"}} )
+            .click(function () {
+                saveSchedule();
+            });
+        $('#buttonQuery')
+            .button( {icons: {primary: "ui-icon-help"}} );
+        $('#buttonScreen')
+            .button( {icons: {primary: "ui-icon-calculator"}} );
+        $('#buttonCancelScreen')
+            .button( {icons: {primary: "ui-icon-cancel"}, disabled: true} )
+            .click(function () {
+                cancelScreen();
+            });
+        $('#buttonReplayWitness')
+            .button( {icons: {primary: "ui-icon-play"}, disabled: true} );
+        $('#buttonResponseTable')
+            .button( {icons: {primary: "ui-icon-calculator"}} );
+        $('#buttonCancelResponse')
+            .button( {icons: {primary: "ui-icon-cancel"}, disabled: true} )
+            .click(function () {
+                clearResponseTable();
+            });
 
         $( "#divNetworkLegend" )
             .draggable({ containment: "#tabNetwork", scroll: false });
@@ -96,6 +145,21 @@ var Controls = function () {
             $('#dialogAddNode').dialog('close');
         });
         
+        $('#divMutations')
+            .draggable({ containment: "#tabNetwork", scroll: false });
+        $('#menuNode a').click(function (event) {
+            var id = $('#menuNode').data('node');
+            event.preventDefault();
+            $('#menuNode').hide();
+            if (this.id === 'menuDeleteNode')
+                openDeleteNodeDialog(id);
+            else
+                engine.setClamp(id, { menuKnockout: false, menuOverexpress: true, menuRelease: null }[this.id]);
+        });
+        $(document).bind('click', function () {
+            $('#menuNode').hide();
+        });
+
         $('#dialogDeleteNode').dialog({
             autoOpen: false,
             minWidth: 300,
@@ -126,6 +190,25 @@ var Controls = function () {
         $('#buttonDemo1').click(importDemo1);
         $('#buttonDemo2').click(importDemo2);
 
+        // Network files may be dropped anywhere on the page
+        $(document).bind('dragover', function (event) {
+            event.preventDefault();
+        }).bind('drop', function (event) {
+            var files = event.originalEvent.dataTransfer.files;
+            event.preventDefault();
+            if (files.length > 0)
+                readNetworkFiles(files);
+        });
+
+        $('#dialogDiagnostics').dialog({
+            autoOpen: false,
+            minWidth: 750,
+            modal: true
+        });
+        $('#buttonDiagnosticsClose').click(function () {
+            $('#dialogDiagnostics').dialog('close');
+        });
+
         $('#dialogExport').dialog({
             autoOpen: false,
             minWidth: 400,
@@ -152,6 +235,20 @@ var Controls = function () {
                 }
             }
         });
+        $('#optionsUpdateScheme').change(function () {
+            var scheme = $(this).val();
+            $('#optionsUpdateOrder').prop('disabled', scheme !== 'sequential');
+            if (config !== null)
+                config.updateScheme = scheme;
+        });
+        $('#optionsPauseOnCycle').change(function () {
+            if (config !== null)
+                config.pauseOnCycle = $(this).is(':checked');
+        });
+        $('#optionsUpdateOrder').change(function () {
+            if (config !== null)
+                config.updateOrder = obj.getUpdateOrder();
+        });
         $('#buttonPreferences').button({
             icons: {
                 primary: "ui-icon-wrench"
@@ -229,13 +326,25 @@ var Controls = function () {
         //$.getScript("include/rickshaw.js");
         $.getScript("include/libSBGN.js");
 
+        $.getScript("js/parser.js");
+        $.getScript("js/booleannet.js");
+        $.getScript("js/diagnostics.js");
         $.getScript("js/import.js");
+        $.getScript("js/sbml.js");
+        $.getScript("js/ginml.js");
+        $.getScript("js/maboss.js");
         $.getScript("js/export.js");
         $.getScript("js/infobox.js");
         $.getScript("js/editrule.js");
         $.getScript("js/timeseries.js");
-        //$.getScript("js/attractors.js");
+        $.getScript("js/schedule.js");
+        $.getScript("js/statespace.js");
+        $.getScript("js/ctl.js");
+        $.getScript("js/bitparallel.js");
+        $.getScript("js/mutantscreen.js");
+        $.getScript("js/attractors.js");
         $.getScript("js/steadystates.js");
+        $.getScript("js/engine.js");
         $.getScript("js/simulator.js");
         //$.getScript("js/spellchecker.js");
 
@@ -275,11 +384,14 @@ var Controls = function () {
     changeTab = function (event, ui) {
         // select 1: Rules tab
         if (ui.index == 0 && network != null)
-            $('#divNetworkLegend').css('visibility', 'visible');
+            $('#divNetworkLegend, #divMutations').css('visibility', 'visible');
         else
-            $('#divNetworkLegend').css('visibility', 'hidden');
+            $('#divNetworkLegend, #divMutations').css('visibility', 'hidden');
         if (ui.index == 1)
             $('#textRules').focus();
+        // select 2: Time series tab, which is not drawn while hidden
+        if (ui.index == 2)
+            drawTimeseries();
 
         prevTab = ui.index;
     };
@@ -303,9 +415,11 @@ var Controls = function () {
         $('#dialogImport').dialog('open');
     };
 
-    plaintextImporter = function (data, confirmed) {
+    plaintextImporter = function (data, confirmed, filename, cfg) {
         // Depending on the file type option checked in the import dialog box
-        // call the appropriate importer
+        // call the appropriate importer, when inferring the format the file
+        // name's extension is preferred over the contents. cfg is the
+        // configuration accompanying a MaBoSS model, if any.
         
         // if a network is loaded already, confirm overwrite first
         if ((!confirmed) && (networkGraph !== null)) {
@@ -313,7 +427,7 @@ var Controls = function () {
             $('#buttonConfirmYes').click(function () {
                 $('#buttonConfirmYes').unbind('click');
                 $('#dialogConfirm').dialog('close');
-                plaintextImporter(data, true);
+                plaintextImporter(data, true, filename, cfg);
             });
             $('#dialogConfirm').dialog('open');
             return;
@@ -323,15 +437,8 @@ var Controls = function () {
         var jsbgn = new jSBGN();
 
         if ($('#formatGuess').attr('checked')) {
-            if (data.indexOf(' and ') + data.indexOf(' or ') + data.indexOf('*') > -1)
-                guessed = 'Python';
-            else if (data.indexOf(' & ') + data.indexOf(' | ') > -1)
-                guessed = 'R';
-            else if ((data.indexOf(' && ') + data.indexOf(' || ') > -1) || (data.indexOf('"sbgnlang"') > -1))
-                guessed = 'jSBGN';
-/*            else if (data.indexOf('<gxl') > -1)
-                guessed = 'GINML'; */
-            else {
+            guessed = guessNetworkFormatFromFilename(filename) || guessNetworkFormat(data);
+            if (guessed === null) {
                 console.log('Import aborted: Inferring file format did not succeed.');
                 alert('Sorry,\nthe format of your file could not be inferred.\nPlease try specifying it manually in the import dialog.');
                 return;
@@ -345,8 +452,18 @@ var Controls = function () {
             result = jsbgn.importBooleanNetwork(data, '=', false);
         else if ($('#formatRBoolNet').attr('checked') || guessed == 'R')
             result = jsbgn.importBooleanNetwork(data, ',', false);
-/*        else if ($('#formatGINML').attr('checked') || guessed == 'GINML')
-            result = jsbgn.importGINML(data); */
+        else if ($('#formatBNet').attr('checked') || guessed == 'BNet')
+            result = jsbgn.importBooleanNetwork(data, ',', false, 'bnet');
+        else if ($('#formatMaBoSS').attr('checked') || guessed == 'MaBoSS')
+            result = jsbgn.importMaBoSS(data, cfg || '');
+        else if ($('#formatGINML').attr('checked') || guessed == 'GINML') {
+            result = jsbgn.importGINML(data);
+            doLayout = !jsbgn.positioned;
+        }
+        else if ($('#formatSBML').attr('checked') || guessed == 'SBML') {
+            result = jsbgn.importSBML(data);
+            doLayout = !jsbgn.positioned;
+        }
         else if ($('#formatjSBGN').attr('checked') || guessed == 'jSBGN') {
             result = jsbgn.importjSBGN(data);
             doLayout = false;
@@ -358,9 +475,15 @@ var Controls = function () {
 
         if (!result) {
             console.log('Import failed: There appear to be syntax errors in the input file.');
-            alert('Import failed: There appear to be syntax errors in your input file.');
+            if (jsbgn.diagnostics.length > 0)
+                showDiagnostics(jsbgn.diagnostics, 'The network');
+            else
+                alert('Import failed: There appear to be syntax errors in your input file.');
             return;
         }
+        // Warnings do not abort the import, but are shown anyway
+        if (jsbgn.diagnostics.length > 0)
+            showDiagnostics(jsbgn.diagnostics, 'The network');
 
         /*
          * Steady states:
@@ -386,11 +509,15 @@ var Controls = function () {
 
         var settings = {
             simDelay: simDelay,
-            oneClick: typeof ($('#optionsOneClick').attr('checked')) !== "undefined"
+            oneClick: typeof ($('#optionsOneClick').attr('checked')) !== "undefined",
+            updateScheme: $('#optionsUpdateScheme').val(),
+            updateOrder: obj.getUpdateOrder(),
+            pauseOnCycle: $('#optionsPauseOnCycle').is(':checked')
         };
         initializeSimulator(jsbgn, settings, networkGraph);
 
         loadRulesText();
+        loadScheduleText();
         rulesChanged = false;
         $('.spellcheckWarning').remove();
 
@@ -413,18 +540,48 @@ var Controls = function () {
             alert('Please choose a file to be imported.');
             return;
         }
-        var file = files[0];
 
         // close import dialog
         $('#dialogImport').dialog('close');
 
+        readNetworkFiles(files);
+    };
+
+    /**
+     * Read network files chosen in the import dialog or dropped on the
+     * page and import them. Usually this is one file, only MaBoSS models
+     * consist of a .bnd file and a .cfg file.
+     * @param {FileList} files The files.
+     */
+    readNetworkFiles = function (files) {
+        var file = null, cfgFile = null, i;
+        for (i = 0; i < files.length; i++) {
+            if (/\.cfg$/i.test(files[i].name))
+                cfgFile = files[i];
+            else if (file === null)
+                file = files[i];
+        }
+        if (file === null) {
+            alert('Please choose the .bnd file of the MaBoSS model together with its .cfg file.');
+            return;
+        }
+
         // Create an instance of the file reader and jSBGN.
         var reader = new FileReader();
 
         // This event handler is called when the file reading task is complete
         reader.onload = function (read) {
             // Get the data contained in the file
-            plaintextImporter(read.target.result, false);
+            var data = read.target.result;
+            if (cfgFile === null) {
+                plaintextImporter(data, false, file.name);
+                return;
+            }
+            var cfgReader = new FileReader();
+            cfgReader.onload = function (cfgRead) {
+                plaintextImporter(data, false, file.name, cfgRead.target.result);
+            };
+            cfgReader.readAsText(cfgFile);
         };
         reader.readAsText(file);
     };
@@ -492,11 +649,12 @@ var Controls = function () {
         graph.unsuspendRedraw(handle);
         
 //        $('#sliderZoom').slider('option', 'value', graph.scale());
-        $('#tabs').tabs('select', tab);
-        $('#divNetworkLegend').css('visibility', 'visible');
-
         if (tab === '#graphStateTransition') transitionGraph = graph;
-        else networkGraph = graph;
+        else {
+            networkGraph = graph;
+            $('#tabs').tabs('select', tab);
+            $('#divNetworkLegend, #divMutations').css('visibility', 'visible');
+        }
         
     };
 
@@ -515,6 +673,17 @@ var Controls = function () {
         else return true;
     };
 
+    /** 
+     * Get the node order for the sequential update scheme as entered in
+     * the Preferences dialog.
+     * @returns {Array} A list of node ids.
+     */
+    this.getUpdateOrder = function () {
+        return $('#optionsUpdateOrder').val().split(/[\s,;]+/).filter(function (id) {
+            return id.length > 0;
+        });
+    };
+
     /** 
      * The event handler for opening the export dialog. The simulator is
      * stopped if it's running.
@@ -526,6 +695,8 @@ var Controls = function () {
         }
 
         if (simulator !== null) simulator.stop();
+        // Model check with the semantics simulated
+        $('#selectNuSMVSemantics').val(engine !== null && !engine.isDeterministic() ? 'asynchronous' : 'synchronous');
         $('#dialogExport').dialog('open');
     };
 
@@ -537,11 +708,7 @@ var Controls = function () {
         var jsbgn = JSON.parse(sb.io.write(doc, 'jsbgn'));
         network.nodes.push(jsbgn.nodes[0]);
 
-        network.state[id] = controls.getInitialSeed();
-        network.freeze[id] = false;
-        ruleFunctions[id] = rule2function(id, network.rules[id]);
-        for (var j = 0; j <= iterationCounter; j++)
-            states[j][id] = network.state[id];
+        engine.addNode(id, controls.getInitialSeed());
 
         //Add node physically to the graph
         var node = networkGraph.add(bui.Macromolecule, id);
@@ -555,26 +722,13 @@ var Controls = function () {
     };
 
     var deleteNode = function (id) {
-        //delete node from jSBGN
-        delete network.state[id];
-        delete network.freeze[id];
-        delete ruleFunctions[id];
-        delete network.rules[id];
+        //delete node from jSBGN and simulation
+        engine.removeNode(id);
 
         //delete node from other node's rules
         for (i in network.rules) {
-            var rule = network.rules[i];
-            rule = rule.replace(/ /g, '');
-            var re = new RegExp('[&|]+!*' + id, 'g');
-            rule = rule.replace(re, '');
-            re = new RegExp('\\(' + id + '[&|]*', 'g');
-            rule = rule.replace(re, '');
-            var matches = rule.match(/\(!*[A-Za-z0-9_]+\)/g);
-            for (j in matches) {
-                rule = rule.replace(matches[j], matches[j].slice(1, matches[j].length - 1));
-            }
-            network.rules[i] = rule;
-            ruleFunctions[i] = rule2function(i, rule);
+            var ast = removeRuleNode(parseRule(network.rules[i], { dialect: 'js' }), id);
+            engine.setRule(i, ast === null ? i : formatRule(ast, 'js'));
         }
 
         //delete node from nodes, edges, left, right
@@ -606,9 +760,6 @@ var Controls = function () {
             }
         }
 
-        for (var j = 0; j <= iterationCounter; j++)
-            delete states[j][id];
-
         //delete node from graph
         var drawables = networkGraph.drawables();
         drawables[id].remove();
@@ -673,22 +824,91 @@ var Controls = function () {
         // export R
         if ($('#exportNetworkRBoolNet').attr('checked')) {
             bn = exportRBoolNet(network);
-            content = "data:text/plain," + encodeURIComponent(bn);
-            window.open(content, 'tmp');
+            if (bn.diagnostics.length > 0)
+                showDiagnostics(bn.diagnostics, 'The R BoolNet file', 'written');
+            if (!hasDiagnosticErrors(bn.diagnostics)) {
+                content = "data:text/plain," + encodeURIComponent(bn.boolnet);
+                window.open(content, 'tmp');
+            }
         } else
 
         // export Python
         if ($('#exportNetworkPyBooleanNet').attr('checked')) {
             bn = exportPythonBooleanNet(network);
-            content = "data:text/plain," + encodeURIComponent(bn);
-            window.open(content, 'tmp');
+            if (bn.diagnostics.length > 0)
+                showDiagnostics(bn.diagnostics, 'The Python BooleanNet file', 'written');
+            if (!hasDiagnosticErrors(bn.diagnostics)) {
+                content = "data:text/plain," + encodeURIComponent(bn.booleannet);
+                window.open(content, 'tmp');
+            }
+        } else
+
+        // export SBML qual
+        if ($('#exportSBMLQual').attr('checked')) {
+            bn = exportSBMLQual(network, graph.toJSON());
+            if (bn.diagnostics.length > 0)
+                showDiagnostics(bn.diagnostics, 'The SBML file', 'written');
+            if (!hasDiagnosticErrors(bn.diagnostics)) {
+                content = "data:application/xml," + encodeURIComponent(bn.sbml);
+                window.open(content, 'tmp');
+            }
+        } else
+
+        // export NuSMV
+        if ($('#exportNuSMV').attr('checked')) {
+            bn = exportNuSMV(network, {
+                semantics: $('#selectNuSMVSemantics').val(),
+                specs: $('#textNuSMVSpecs').val()
+            });
+            if (bn.diagnostics.length > 0)
+                showDiagnostics(bn.diagnostics, 'The NuSMV model', 'written');
+            if (!hasDiagnosticErrors(bn.diagnostics)) {
+                content = "data:text/plain," + encodeURIComponent(bn.smv);
+                window.open(content, 'tmp');
+            }
+        } else
+
+        // export MaBoSS, the .bnd and the .cfg file
+        if ($('#exportMaBoSS').attr('checked')) {
+            bn = exportMaBoSS(network);
+            if (bn.diagnostics.length > 0)
+                showDiagnostics(bn.diagnostics, 'The MaBoSS model', 'written');
+            if (!hasDiagnosticErrors(bn.diagnostics)) {
+                window.open("data:text/plain," + encodeURIComponent(bn.bnd), 'tmp');
+                window.open("data:text/plain," + encodeURIComponent(bn.cfg), 'tmpCfg');
+            }
+        } else
+
+        // export bnet
+        if ($('#exportNetworkBNet').attr('checked')) {
+            bn = exportBNet(network);
+            if (bn.diagnostics.length > 0)
+                showDiagnostics(bn.diagnostics, 'The .bnet file', 'written');
+            if (!hasDiagnosticErrors(bn.diagnostics)) {
+                content = "data:text/plain," + encodeURIComponent(bn.bnet);
+                window.open(content, 'tmp');
+            }
+        } else
+
+        // export GINML
+        if ($('#exportGINML').attr('checked')) {
+            bn = exportGINML(network, graph.toJSON());
+            if (bn.diagnostics.length > 0)
+                showDiagnostics(bn.diagnostics, 'The GINML file', 'written');
+            if (!hasDiagnosticErrors(bn.diagnostics)) {
+                content = "data:application/xml," + encodeURIComponent(bn.ginml);
+                window.open(content, 'tmp');
+            }
         } else
 
         // export jSBGN
         if ($('#exportjSBGN').attr('checked')) {
             jsbgn = graph.toJSON();
             jsbgn = $.extend(jsbgn, {
-                rules: network.rules
+                rules: network.rules,
+                priority: network.priority,
+                clamp: network.clamp,
+                schedule: network.schedule
             });
             content = "data:application/json," + encodeURIComponent(JSON.stringify(jsbgn));
             window.open(content, 'tmp');
@@ -701,10 +921,21 @@ var Controls = function () {
             window.open(content, 'tmp');
         }
 
+        // export the states of the Time Series
+        if ($('#exportTimeseriesCSV').attr('checked')) {
+            bn = exportTimeseriesCSV(Object.keys(network.state), engine.trajectory(), timeseriesRuns);
+            content = "data:text/csv," + encodeURIComponent(bn);
+            window.open(content, 'tmp');
+        } else
+        if ($('#exportTimeseriesJSON').attr('checked')) {
+            bn = exportTimeseriesJSON(Object.keys(network.state), engine.trajectory(), timeseriesRuns, config.updateScheme, timeseriesBranches);
+            content = "data:application/json," + encodeURIComponent(bn);
+            window.open(content, 'tmp');
+        } else
+
         // export Time Series
         if ($('#exportTimeseries').attr('checked')) {
-            $('#tabs').tabs('select', '#tabTimeseries');
-            var svg = $('#divTimeseries > svg')[0].parentNode.innerHTML;
+            var svg = timeseriesSVG();
             content = "data:image/svg+xml," + encodeURIComponent(svg);
             window.open(content, 'tmp');
         }
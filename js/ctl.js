@@ -0,0 +1,555 @@
+/*
+ * Explicit-state CTL model checking on the state transition graph of small
+ * Boolean networks (see computeTransitions in js/statespace.js). States
+ * without successors, i.e. the steady states of the asynchronous
+ * semantics, are given a transition to themselves, so that every path is
+ * infinite. Sets of states are Uint8Arrays indexed by the state's integer
+ * encoding. Nothing in here depends on the DOM.
+ *
+ * Formulas are parsed into ASTs like update rules (see js/parser.js), with
+ * the additional nodes {type: 'implies', args: [...]},
+ * {type: 'EX'|'AX'|'EF'|'AF'|'EG'|'AG', arg: ...} and
+ * {type: 'EU'|'AU', args: [...]} for E[a U b] and A[a U b].
+ */
+
+/*
+ * The temporal operators taking a single argument.
+ */
+var ctlUnaryOperators = ['EX', 'AX', 'EF', 'AF', 'EG', 'AG'];
+
+/*
+ * Split a CTL formula into tokens.
+ * @param {string} text The formula.
+ * @param {Array} nodeIds The ids of the network's nodes. Words naming a
+ * node are nodes, even if they are operators as well.
+ * @returns {Array} The tokens, each with type, text and 1-based column.
+ * The last token is of type end.
+ */
+var tokenizeCTL = function (text, nodeIds) {
+    var tokens = [], i = 0, match, word, type, value, s, found;
+    var symbols = [
+        ['->', 'implies'], ['&&', 'and'], ['||', 'or'], ['&', 'and'], ['|', 'or'], ['!', 'not'],
+        ['(', 'lparen'], [')', 'rparen'], ['[', 'lbracket'], [']', 'rbracket']
+    ];
+    var keywords = {
+        and: 'and', AND: 'and',
+        or: 'or', OR: 'or',
+        not: 'not', NOT: 'not',
+        E: 'E', A: 'A', U: 'U'
+    };
+    var constants = {
+        'true': true, 'True': true, 'TRUE': true,
+        'false': false, 'False': false, 'FALSE': false
+    };
+
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+
+        found = false;
+        for (s = 0; s < symbols.length; s++) {
+            if (text.substr(i, symbols[s][0].length) === symbols[s][0]) {
+                tokens.push({ type: symbols[s][1], text: symbols[s][0], column: i + 1 });
+                i += symbols[s][0].length;
+                found = true;
+                break;
+            }
+        }
+        if (found)
+            continue;
+
+        match = /^[A-Za-z0-9_]+/.exec(text.substr(i));
+        if (match === null)
+            throw new RuleSyntaxError("Illegal character '" + text[i] + "'", i + 1, text[i],
+                'Node names may only contain letters, digits and underscores');
+
+        word = match[0];
+        value = undefined;
+        if (nodeIds.indexOf(word) > -1)
+            type = 'id';
+        else if (ctlUnaryOperators.indexOf(word) > -1)
+            type = 'temporal';
+        else if (keywords.hasOwnProperty(word))
+            type = keywords[word];
+        else if (constants.hasOwnProperty(word)) {
+            type = 'const';
+            value = constants[word];
+        } else
+            throw new RuleSyntaxError('Unknown node ' + word, i + 1, word,
+                'Use the name of a node or one of the operators EX, AX, EF, AF, EG, AG, E[ U ] and A[ U ]');
+        tokens.push({ type: type, text: word, value: value, column: i + 1 });
+        i += word.length;
+    }
+    tokens.push({ type: 'end', text: '', column: text.length + 1 });
+    return tokens;
+};
+
+/*
+ * Parse a CTL formula. Operator precedence is NOT and the temporal
+ * operators over AND over OR over -> (right associative).
+ * @param {string} text The formula, e.g. "EF CycB" or "AG (A -> AF !B)".
+ * @param {Array} nodeIds The ids of the network's nodes.
+ * @returns {Object} The AST.
+ * @throws {RuleSyntaxError} If the formula is malformed.
+ */
+parseCTL = function (text, nodeIds) {
+    var tokens = tokenizeCTL(text, nodeIds);
+    var pos = 0;
+
+    var describe = function (token) {
+        return token.type === 'end' ? 'end of formula' : "'" + token.text + "'";
+    };
+
+    var fail = function (message, token, hint) {
+        throw new RuleSyntaxError(message, token.column, token.text, hint);
+    };
+
+    var peek = function () {
+        return tokens[pos];
+    };
+
+    var next = function () {
+        return tokens[pos++];
+    };
+
+    var expect = function (type, text, opening) {
+        if (peek().type !== type)
+            fail("Expected '" + text + "' for '" + opening.text + "' in column " + opening.column + ', but found ' +
+                 describe(peek()), peek(), "Write E[a U b] or A[a U b]");
+        return next();
+    };
+
+    var parseImplies, parseOr, parseAnd, parseUnary;
+
+    parseImplies = function () {
+        var left = parseOr();
+        if (peek().type !== 'implies')
+            return left;
+        next();
+        return { type: 'implies', args: [left, parseImplies()] };
+    };
+
+    parseOr = function () {
+        var args = [parseAnd()];
+        while (peek().type === 'or') {
+            next();
+            args.push(parseAnd());
+        }
+        return args.length === 1 ? args[0] : { type: 'or', args: args };
+    };
+
+    parseAnd = function () {
+        var args = [parseUnary()];
+        while (peek().type === 'and') {
+            next();
+            args.push(parseUnary());
+        }
+        return args.length === 1 ? args[0] : { type: 'and', args: args };
+    };
+
+    parseUnary = function () {
+        var token = next(), node, until;
+        switch (token.type) {
+        case 'not':
+            return { type: 'not', arg: parseUnary() };
+        case 'temporal':
+            return { type: token.text, arg: parseUnary() };
+        case 'E':
+        case 'A':
+            expect('lbracket', '[', token);
+            node = parseImplies();
+            expect('U', 'U', token);
+            until = parseImplies();
+            expect('rbracket', ']', token);
+            return { type: token.type + 'U', args: [node, until] };
+        case 'lparen':
+            node = parseImplies();
+            if (peek().type !== 'rparen') {
+                if (peek().type === 'end')
+                    fail("Missing closing bracket for '(' in column " + token.column, peek(),
+                         "Add ')' where the bracketed expression ends");
+                fail('Expected an operator or \')\', but found ' + describe(peek()), peek(),
+                     "Insert an operator or ')' before " + describe(peek()));
+            }
+            next();
+            return node;
+        case 'id':
+            return { type: 'id', name: token.text };
+        case 'const':
+            return { type: 'const', value: token.value };
+        case 'end':
+            fail('Unexpected end of formula, expected a node, a constant, an operator or \'(\'', token,
+                 'Complete the formula or remove the trailing operator');
+            break;
+        default:
+            fail('Expected a node, a constant, an operator or \'(\', but found ' + describe(token), token,
+                 'Insert a node name before ' + describe(token) + ' or remove it');
+        }
+    };
+
+    var ast = parseImplies();
+    if (peek().type !== 'end') {
+        if (peek().type === 'rparen' || peek().type === 'rbracket')
+            fail("Unexpected '" + peek().text + "' without matching opening bracket", peek(),
+                 "Remove the '" + peek().text + "' or add the opening bracket");
+        fail('Missing operator before ' + describe(peek()), peek(),
+             'Insert an operator (AND, OR, ->) before ' + describe(peek()));
+    }
+    return ast;
+};
+
+/*
+ * Store the transitions as adjacency lists in both directions.
+ * @param {Object} transitions The transitions, see computeTransitions.
+ * @returns {Object} For each state the range of its successors in targets
+ * (start[s] to start[s + 1]) and of its predecessors in sources.
+ */
+var buildTransitionGraph = function (transitions) {
+    var size = transitions.size, n = transitions.nodes.length;
+    var start = new Int32Array(size + 1), sourceStart = new Int32Array(size + 1);
+    var targets, sources, fill, code, bit, k, count = 0;
+
+    for (code = 0; code < size; code++) {
+        start[code] = count;
+        k = 0;
+        if (!transitions.deterministic) {
+            for (bit = 0; bit < n; bit++) {
+                if (transitions.masks[code] & (1 << bit))
+                    k++;
+            }
+        }
+        count += Math.max(k, 1);
+    }
+    start[size] = count;
+
+    targets = new Int32Array(count);
+    for (code = 0; code < size; code++) {
+        k = start[code];
+        if (transitions.deterministic)
+            targets[k] = transitions.successors[code];
+        else {
+            for (bit = 0; bit < n; bit++) {
+                if (transitions.masks[code] & (1 << bit))
+                    targets[k++] = code ^ (1 << bit);
+            }
+            // Steady states stay where they are
+            if (k === start[code])
+                targets[k] = code;
+        }
+    }
+
+    // Invert the lists
+    for (k = 0; k < count; k++)
+        sourceStart[targets[k] + 1]++;
+    for (code = 0; code < size; code++)
+        sourceStart[code + 1] += sourceStart[code];
+    sources = new Int32Array(count);
+    fill = new Int32Array(size);
+    for (code = 0; code < size; code++) {
+        for (k = start[code]; k < start[code + 1]; k++)
+            sources[sourceStart[targets[k]] + fill[targets[k]]++] = code;
+    }
+
+    return { size: size, start: start, targets: targets, sourceStart: sourceStart, sources: sources };
+};
+
+/*
+ * Model checker for one state transition graph.
+ * @param {Object} transitions The transitions, see computeTransitions.
+ * @constructor
+ */
+var CTLChecker = function (transitions) {
+    this.transitions = transitions;
+    this.graph = buildTransitionGraph(transitions);
+    this.size = transitions.size;
+};
+
+/**
+ * @param {Uint8Array} set A set of states.
+ * @returns {Uint8Array} Its complement.
+ */
+CTLChecker.prototype.complement = function (set) {
+    var result = new Uint8Array(this.size), s;
+    for (s = 0; s < this.size; s++)
+        result[s] = 1 - set[s];
+    return result;
+};
+
+/**
+ * @returns {Uint8Array} The set of all states.
+ */
+CTLChecker.prototype.all = function () {
+    var result = new Uint8Array(this.size), s;
+    for (s = 0; s < this.size; s++)
+        result[s] = 1;
+    return result;
+};
+
+/**
+ * @param {Uint8Array} set A set of states.
+ * @returns {Uint8Array} The states having a successor in the set (EX).
+ */
+CTLChecker.prototype.existsNext = function (set) {
+    var result = new Uint8Array(this.size), g = this.graph, s, k;
+    for (s = 0; s < this.size; s++) {
+        if (!set[s])
+            continue;
+        for (k = g.sourceStart[s]; k < g.sourceStart[s + 1]; k++)
+            result[g.sources[k]] = 1;
+    }
+    return result;
+};
+
+/**
+ * Compute E[a U b] by a backward search from the states satisfying b.
+ * @param {Uint8Array} a The states satisfying a.
+ * @param {Uint8Array} b The states satisfying b.
+ * @returns {Uint8Array} The states satisfying E[a U b].
+ */
+CTLChecker.prototype.existsUntil = function (a, b) {
+    var result = new Uint8Array(b), g = this.graph, queue = [], head, s, u, k;
+    for (s = 0; s < this.size; s++) {
+        if (b[s])
+            queue.push(s);
+    }
+    for (head = 0; head < queue.length; head++) {
+        s = queue[head];
+        for (k = g.sourceStart[s]; k < g.sourceStart[s + 1]; k++) {
+            u = g.sources[k];
+            if (!result[u] && a[u]) {
+                result[u] = 1;
+                queue.push(u);
+            }
+        }
+    }
+    return result;
+};
+
+/**
+ * Compute EG a: starting from the states satisfying a, repeatedly remove
+ * the states without a successor left.
+ * @param {Uint8Array} a The states satisfying a.
+ * @returns {Uint8Array} The states satisfying EG a.
+ */
+CTLChecker.prototype.existsGlobally = function (a) {
+    var result = new Uint8Array(a), g = this.graph;
+    var count = new Int32Array(this.size), queue = [], head, s, u, k;
+    for (s = 0; s < this.size; s++) {
+        if (!result[s])
+            continue;
+        for (k = g.start[s]; k < g.start[s + 1]; k++)
+            count[s] += result[g.targets[k]];
+        if (count[s] === 0)
+            queue.push(s);
+    }
+    for (head = 0; head < queue.length; head++) {
+        s = queue[head];
+        result[s] = 0;
+        for (k = g.sourceStart[s]; k < g.sourceStart[s + 1]; k++) {
+            u = g.sources[k];
+            if (result[u] && --count[u] === 0)
+                queue.push(u);
+        }
+    }
+    return result;
+};
+
+/**
+ * Compute the states satisfying a formula.
+ * @param {Object} ast The formula's AST.
+ * @returns {Uint8Array} The states.
+ */
+CTLChecker.prototype.evaluate = function (ast) {
+    var result, args, bit, s, i, a, b;
+    switch (ast.type) {
+    case 'const':
+        return ast.value ? this.all() : new Uint8Array(this.size);
+    case 'id':
+        bit = 1 << this.transitions.nodes.indexOf(ast.name);
+        result = new Uint8Array(this.size);
+        for (s = 0; s < this.size; s++)
+            result[s] = (s & bit) ? 1 : 0;
+        return result;
+    case 'not':
+        return this.complement(this.evaluate(ast.arg));
+    case 'and':
+    case 'or':
+        args = ast.args.map(this.evaluate, this);
+        result = args[0];
+        for (i = 1; i < args.length; i++) {
+            for (s = 0; s < this.size; s++)
+                result[s] = ast.type === 'and' ? (result[s] & args[i][s]) : (result[s] | args[i][s]);
+        }
+        return result;
+    case 'implies':
+        result = this.complement(this.evaluate(ast.args[0]));
+        b = this.evaluate(ast.args[1]);
+        for (s = 0; s < this.size; s++)
+            result[s] |= b[s];
+        return result;
+    case 'EX':
+        return this.existsNext(this.evaluate(ast.arg));
+    case 'AX':
+        return this.complement(this.existsNext(this.complement(this.evaluate(ast.arg))));
+    case 'EF':
+        return this.existsUntil(this.all(), this.evaluate(ast.arg));
+    case 'AF':
+        return this.complement(this.existsGlobally(this.complement(this.evaluate(ast.arg))));
+    case 'EG':
+        return this.existsGlobally(this.evaluate(ast.arg));
+    case 'AG':
+        return this.complement(this.existsUntil(this.all(), this.complement(this.evaluate(ast.arg))));
+    case 'EU':
+        return this.existsUntil(this.evaluate(ast.args[0]), this.evaluate(ast.args[1]));
+    case 'AU':
+        // A[a U b] = !(E[!b U (!a & !b)] | EG !b)
+        a = this.evaluate(ast.args[0]);
+        b = this.complement(this.evaluate(ast.args[1]));
+        result = new Uint8Array(this.size);
+        for (s = 0; s < this.size; s++)
+            result[s] = b[s] & (1 - a[s]);
+        result = this.existsUntil(b, result);
+        a = this.existsGlobally(b);
+        for (s = 0; s < this.size; s++)
+            result[s] = 1 - (result[s] | a[s]);
+        return result;
+    }
+    throw new Error('Unknown CTL operator ' + ast.type);
+};
+
+/**
+ * Find a shortest path from a state through states satisfying a to a
+ * state satisfying b, which must exist.
+ * @param {Uint8Array} a The states satisfying a.
+ * @param {Uint8Array} b The states satisfying b.
+ * @param {number} from The first state.
+ * @returns {Object} The path: its states and loop -1.
+ */
+CTLChecker.prototype.pathUntil = function (a, b, from) {
+    var g = this.graph, parent = new Int32Array(this.size), queue = [from], head, s, t, k, states;
+    for (s = 0; s < this.size; s++)
+        parent[s] = -1;
+    parent[from] = from;
+    for (head = 0; head < queue.length && !b[queue[head]]; head++) {
+        s = queue[head];
+        if (!a[s])
+            continue;
+        for (k = g.start[s]; k < g.start[s + 1]; k++) {
+            t = g.targets[k];
+            if (parent[t] < 0) {
+                parent[t] = s;
+                queue.push(t);
+            }
+        }
+    }
+    states = [queue[head]];
+    while (states[0] !== from)
+        states.unshift(parent[states[0]]);
+    return { states: states, loop: -1 };
+};
+
+/**
+ * Find a transition from a state into a set of states, which must exist.
+ * @param {Uint8Array} set The states.
+ * @param {number} from The first state.
+ * @returns {Object} The path: its two states and loop -1.
+ */
+CTLChecker.prototype.nextInSet = function (set, from) {
+    var g = this.graph, k;
+    for (k = g.start[from]; !set[g.targets[k]]; k++);
+    return { states: [from, g.targets[k]], loop: -1 };
+};
+
+/**
+ * Follow the transitions within a set of states, every state of which has
+ * a successor in it, until a state recurs.
+ * @param {Uint8Array} set The states, e.g. those satisfying EG a.
+ * @param {number} from The first state, which must be in the set.
+ * @returns {Object} The path: its states, the last one closing the loop,
+ * and the index of the state the loop starts at.
+ */
+CTLChecker.prototype.lasso = function (set, from) {
+    var g = this.graph, index = {}, states = [], s = from, k;
+    while (!index.hasOwnProperty(s)) {
+        index[s] = states.length;
+        states.push(s);
+        for (k = g.start[s]; !set[g.targets[k]]; k++);
+        s = g.targets[k];
+    }
+    states.push(s);
+    return { states: states, loop: index[s] };
+};
+
+/**
+ * Find a path demonstrating the outermost temporal operator of a formula
+ * in a state: a witness for EX, EF, EG and EU if the formula holds, a
+ * counterexample for AX, AF, AG and AU if it does not. Negations are
+ * looked through.
+ * @param {Object} ast The formula's AST.
+ * @param {Boolean} holds Whether the formula holds in the state.
+ * @param {number} from The state.
+ * @returns {Object} The path (see pathUntil and lasso), null if the
+ * operator has no such path.
+ */
+CTLChecker.prototype.witness = function (ast, holds, from) {
+    var a, b, s;
+    if (ast.type === 'not')
+        return this.witness(ast.arg, !holds, from);
+    if (holds) {
+        switch (ast.type) {
+        case 'EX':
+            return this.nextInSet(this.evaluate(ast.arg), from);
+        case 'EF':
+            return this.pathUntil(this.all(), this.evaluate(ast.arg), from);
+        case 'EU':
+            return this.pathUntil(this.evaluate(ast.args[0]), this.evaluate(ast.args[1]), from);
+        case 'EG':
+            return this.lasso(this.existsGlobally(this.evaluate(ast.arg)), from);
+        }
+        return null;
+    }
+    switch (ast.type) {
+    case 'AX':
+        return this.nextInSet(this.complement(this.evaluate(ast.arg)), from);
+    case 'AF':
+        return this.lasso(this.existsGlobally(this.complement(this.evaluate(ast.arg))), from);
+    case 'AG':
+        return this.pathUntil(this.all(), this.complement(this.evaluate(ast.arg)), from);
+    case 'AU':
+        a = this.evaluate(ast.args[0]);
+        b = this.complement(this.evaluate(ast.args[1]));
+        for (s = 0; s < this.size; s++)
+            a[s] = b[s] & (1 - a[s]);
+        if (this.existsUntil(b, a)[from])
+            return this.pathUntil(b, a, from);
+        return this.lasso(this.existsGlobally(b), from);
+    }
+    return null;
+};
+
+/*
+ * Check a CTL formula in a state of the network.
+ * @param {Object} ast The formula's AST, see parseCTL.
+ * @param {Object} transitions The transitions, see computeTransitions.
+ * @param {number} from The state to check the formula in.
+ * @returns {Object} Whether the formula holds in the state, the number of
+ * states it holds in and a path demonstrating the result (see
+ * CTLChecker.witness), null if there is none: its kind (witness or
+ * counterexample), its states and the index of the state a final loop
+ * starts at (-1 if there is no loop).
+ */
+checkCTL = function (ast, transitions, from) {
+    var checker = new CTLChecker(transitions);
+    var set = checker.evaluate(ast);
+    var holds = set[from] === 1;
+    var count = 0, s, path;
+
+    for (s = 0; s < set.length; s++)
+        count += set[s];
+    path = checker.witness(ast, holds, from);
+    if (path !== null)
+        path.kind = holds ? 'witness' : 'counterexample';
+    return { holds: holds, count: count, path: path };
+};
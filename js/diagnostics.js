@@ -0,0 +1,52 @@
+/*
+ * The diagnostics dialog lists the errors and warnings found while
+ * importing or exporting a network or saving the rule editor, with line,
+ * column, the offending token and a suggested fix each.
+ */
+
+/*
+ * Escape text for use in HTML.
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ */
+var escapeHTML = function (text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
+
+/*
+ * Show a list of diagnostics in the diagnostics dialog.
+ * @param {Array} diagnostics The diagnostics (see createDiagnostic).
+ * @param {string} source What was read, e.g. the file name.
+ * @param {string} action What was done with it, default read.
+ */
+showDiagnostics = function (diagnostics, source, action) {
+    var errors = 0, warnings = 0, i, d, html = '';
+
+    for (i = 0; i < diagnostics.length; i++) {
+        d = diagnostics[i];
+        if (d.severity === 'error')
+            errors++;
+        else
+            warnings++;
+        html += '<tr class="diagnostic' + (d.severity === 'error' ? 'Error' : 'Warning') + '">' +
+            '<td>' + d.severity + '</td>' +
+            '<td>' + (d.line === null ? '' : d.line) + '</td>' +
+            '<td>' + (d.column === null ? '' : d.column) + '</td>' +
+            '<td><code>' + escapeHTML(d.token) + '</code></td>' +
+            '<td>' + escapeHTML(d.message) + '</td>' +
+            '<td>' + escapeHTML(d.hint) + '</td>' +
+            '</tr>';
+    }
+    $('#tableDiagnostics tbody').html(html);
+
+    action = action || 'read';
+    if (errors > 0)
+        $('#textDiagnosticsSummary').text(source + ' could not be ' + action + ': ' + errors + ' error(s), ' + warnings + ' warning(s).');
+    else
+        $('#textDiagnosticsSummary').text(source + ' was ' + action + ' with ' + warnings + ' warning(s).');
+    $('#dialogDiagnostics').dialog('open');
+};
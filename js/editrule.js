@@ -7,6 +7,8 @@ loadRulesText = function () {
     var text = '';
     $('#textRules').val('');
     for (node in network.rules) {
+        if (network.priority.hasOwnProperty(node))
+            text += network.priority[node] + ': ';
         text += node + ' = ' + network.rules[node] + '\n';
     }
     //console.log(text);
@@ -31,7 +33,10 @@ reloadUpdateRules = function () {
     var jsbgn = new jSBGN();
 
     if (!jsbgn.importBooleanNetwork($('#textRules').val(), '=', true)) {
-        alert('Please check the syntax of your update rules');
+        if (hasDiagnosticErrors(jsbgn.diagnostics))
+            showDiagnostics(jsbgn.diagnostics, 'The update rules');
+        else
+            alert('Please check the syntax of your update rules');
         return false;
     }
 
@@ -47,61 +52,43 @@ reloadUpdateRules = function () {
     var removed = network.nodes.filter(function (i) {
         return !jsbgnNodes.hasOwnProperty(i.id);
     });
-    var same = jsbgn.nodes.filter(function (i) {
-        return network.state.hasOwnProperty(i.id);
-    });
 
-    // deepcopy as backup in case of errors
-    var oldRules = jQuery.extend(true, {}, ruleFunctions);
-
-    for (i in same) {
-        var id = same[i].id;
-        ruleFunctions[id] = rule2function(id, jsbgn.rules[id]);
-        if (ruleFunctions[id] == null) {
-            alert('Please check the syntax of your update rules');
-            ruleFunctions = oldRules; // fall back to previous rules
-            return false;
-        }
-    }
-    
-    // deepcopy as backup in case of errors
-    var oldNetwork = jQuery.extend(true, {}, network);
-    
-    for (i in added) {
-        var id = added[i].id;
-        network.state[id] = controls.getInitialSeed();
-        for (var j = 0; j <= iterationCounter; j++)
-            states[j][id] = network.state[id];
-        network.freeze[id] = false;
-        ruleFunctions[id] = rule2function(id, jsbgn.rules[id]);
-
-        if (ruleFunctions[id] == null) {
+    // check all rules before changing anything
+    for (i in jsbgn.nodes) {
+        var id = jsbgn.nodes[i].id;
+        if (rule2function(id, jsbgn.rules[id]) === null) {
             alert('Please check the syntax of your update rules');
-            network = oldNetwork; // fall back to previous network
-            ruleFunctions = oldRules; // and previous rules
             return false;
         }
     }
 
-    for (i in removed) {
-        var id = removed[i].id;
-        delete network.state[id];
-        delete network.freeze[id];
-        delete ruleFunctions[id];
-    }
+    for (i in removed)
+        engine.removeNode(removed[i].id);
+
+    network.rules = jsbgn.rules;
+    network.priority = jsbgn.priority;
+
+    for (i in added)
+        engine.addNode(added[i].id, controls.getInitialSeed());
+    engine.compile();
 
     // time consuming, could be reduced
     controls.importNetwork(jsbgn, '#tabNetwork');
     updateAllGraphNodes(network.state, networkGraph);
 
-    network.rules = jsbgn.rules;
     network.nodes = jsbgn.nodes;
     network.edges = jsbgn.edges;
     network.left = jsbgn.left;
     network.right = jsbgn.right;
 
     //updateTimeseries();
-    resetTimeseries();
+    engine.reset();
+    cancelAttractorSearch();
+    clearAnalysis();
+    clearQuery();
+    cancelScreen();
+    clearScreen();
+    clearResponseTable();
     //~ identifyIONodes(network.left, network.right);
     //~ highlightIONodes();
     //~ createSteadyStates();
@@ -0,0 +1,817 @@
+/**
+ * Headless simulation engine for a single Boolean network. The engine holds
+ * the network's update rules, node states, freeze flags, clamps and priority
+ * classes as well as the trajectory of all states passed so far and, for the
+ * deterministic update schemes, the states visited so far in order to
+ * detect cyclic attractors. It does not touch the DOM: the graph, time
+ * series and steady state views subscribe to the events it emits instead.
+ * Several engines may be used side by side.
+ * @param {Object} network The network, e.g. a jSBGN object. Only the
+ * properties rules, state, freeze, clamp and priority are used. Clamped
+ * nodes are mutants: knocked out (clamped to false) or overexpressed
+ * (clamped to true), they are updated to their clamp value instead of
+ * their rule.
+ * @param {Object} options Optional settings: updateScheme, updateOrder and
+ * random (a function returning numbers in [0, 1), default Math.random).
+ * The options object is kept by reference, so later changes apply.
+ * @constructor
+ */
+var SimulationEngine = function (network, options) {
+    if (!network.state) network.state = {};
+    if (!network.rules) network.rules = {};
+    if (!network.freeze) network.freeze = {};
+    if (!network.priority) network.priority = {};
+    if (!network.clamp) network.clamp = {};
+
+    this.network = network;
+    this.options = options || {};
+    this.functions = {};
+    this.listeners = {};
+    this.history = [];
+    this.clampHistory = [];
+    this.iteration = 0;
+    this.visited = {};
+    this.visitedDynamics = null;
+    this.cycle = null;
+
+    var id;
+    for (id in network.state) {
+        if (!network.freeze.hasOwnProperty(id))
+            network.freeze[id] = false;
+        if (network.clamp.hasOwnProperty(id))
+            network.state[id] = network.clamp[id];
+    }
+    this.compile();
+    this.history.push(this.copyState());
+    this.clampHistory.push(this.copyClamp());
+};
+
+/**
+ * Convert the update rule to a function. The rule is parsed (see
+ * js/parser.js) and compiled without the use of eval.
+ * @param {string} node The id of the node the rule belongs to.
+ * @param {string} rule The update rule in JavaScript syntax.
+ * @returns {Function} The function for the update rule, null on syntax errors.
+ */
+rule2function = function (node, rule) {
+    var ast;
+    if (typeof (rule) === "undefined") {
+        // during update the previous node value is set (equal to no update at
+        // all)
+        ast = { type: 'id', name: node };
+    } else {
+        try {
+            ast = parseRule(rule, { dialect: 'js' });
+        } catch (e) {
+            if (e instanceof RuleSyntaxError)
+                return null;
+            throw e;
+        }
+    }
+    // Create the function passing the current state as the first parameter
+    return compileRule(ast);
+};
+
+/**
+ * Register an event handler. The engine emits the following events:
+ * step (after every iteration), steady (a steady state was reached),
+ * cycle (a state recurred, see detectCycle), change (node states, freeze
+ * flags or clamps were set from outside), branch (the trajectory continues from an
+ * earlier state, see branch), back (the last iteration was undone, see
+ * stepBack) and reset (the trajectory was cleared).
+ * @param {string} type The event type.
+ * @param {Function} handler Called with the event data and the engine as this.
+ */
+SimulationEngine.prototype.on = function (type, handler) {
+    if (!this.listeners.hasOwnProperty(type))
+        this.listeners[type] = [];
+    this.listeners[type].push(handler);
+};
+
+/**
+ * Remove an event handler, see on.
+ * @param {string} type The event type.
+ * @param {Function} handler The handler to remove.
+ */
+SimulationEngine.prototype.off = function (type, handler) {
+    if (!this.listeners.hasOwnProperty(type))
+        return;
+    this.listeners[type] = this.listeners[type].filter(function (h) {
+        return h !== handler;
+    });
+};
+
+/**
+ * Call all handlers registered for an event type.
+ * @param {string} type The event type.
+ * @param {Object} data The event data.
+ */
+SimulationEngine.prototype.emit = function (type, data) {
+    var handlers = this.listeners[type] || [], i;
+    for (i = 0; i < handlers.length; i++)
+        handlers[i].call(this, data);
+};
+
+/**
+ * Compile the update rules of all nodes.
+ * @returns {Array} The ids of the nodes whose rules could not be compiled.
+ */
+SimulationEngine.prototype.compile = function () {
+    var failed = [], id;
+    this.functions = {};
+    for (id in this.network.state) {
+        this.functions[id] = this.nodeFunction(id, this.network.rules[id]);
+        if (this.functions[id] === null)
+            failed.push(id);
+    }
+    this.clearVisited();
+    return failed;
+};
+
+/**
+ * Get the function updating a node: the node's clamp value if it is
+ * clamped, its update rule otherwise.
+ * @param {string} id The node id.
+ * @param {string} rule The update rule.
+ * @returns {Function} The function, null if the rule contains syntax errors.
+ */
+SimulationEngine.prototype.nodeFunction = function (id, rule) {
+    var f = rule2function(id, rule);
+    if (f === null || !this.network.clamp.hasOwnProperty(id))
+        return f;
+    return compileRule({ type: 'const', value: this.network.clamp[id] });
+};
+
+/**
+ * Change the update rule of a node. The rule is left untouched if it
+ * contains syntax errors.
+ * @param {string} id The node id.
+ * @param {string} rule The new update rule.
+ * @returns {Boolean} Whether the rule could be compiled.
+ */
+SimulationEngine.prototype.setRule = function (id, rule) {
+    var f = this.nodeFunction(id, rule);
+    if (f === null)
+        return false;
+    this.network.rules[id] = rule;
+    this.functions[id] = f;
+    this.clearVisited();
+    return true;
+};
+
+/**
+ * Add a node to the network. The node assumes the given value throughout
+ * the trajectory recorded so far.
+ * @param {string} id The node id.
+ * @param {Boolean} value The node state.
+ * @returns {Boolean} Whether the node's rule could be compiled.
+ */
+SimulationEngine.prototype.addNode = function (id, value) {
+    var i;
+    this.network.state[id] = value;
+    this.network.freeze[id] = false;
+    for (i = 0; i < this.history.length; i++)
+        this.history[i][id] = value;
+    this.functions[id] = this.nodeFunction(id, this.network.rules[id]);
+    this.clearVisited();
+    return this.functions[id] !== null;
+};
+
+/**
+ * Remove a node from the network and the recorded trajectory.
+ * @param {string} id The node id.
+ */
+SimulationEngine.prototype.removeNode = function (id) {
+    var i;
+    delete this.network.state[id];
+    delete this.network.freeze[id];
+    delete this.network.rules[id];
+    delete this.network.priority[id];
+    delete this.network.clamp[id];
+    delete this.functions[id];
+    for (i = 0; i < this.history.length; i++) {
+        delete this.history[i][id];
+        delete this.clampHistory[i][id];
+    }
+    this.clearVisited();
+};
+
+/**
+ * @returns {Object} A copy of the current network state.
+ */
+SimulationEngine.prototype.copyState = function () {
+    var copy = {}, id;
+    for (id in this.network.state)
+        copy[id] = this.network.state[id];
+    return copy;
+};
+
+/**
+ * @returns {Object} A copy of the current clamps.
+ */
+SimulationEngine.prototype.copyClamp = function () {
+    var copy = {}, id;
+    for (id in this.network.clamp)
+        copy[id] = this.network.clamp[id];
+    return copy;
+};
+
+/**
+ * Restore the clamps of an earlier entry of the trajectory, e.g. when
+ * undoing an iteration at which a node was knocked out.
+ * @param {Object} clamp The clamps, see copyClamp.
+ * @returns {Array} A list of the nodes clamped or released.
+ */
+SimulationEngine.prototype.restoreClamp = function (clamp) {
+    var changed = [], id;
+    for (id in this.network.clamp) {
+        if (!clamp.hasOwnProperty(id)) {
+            delete this.network.clamp[id];
+            changed.push(id);
+        }
+    }
+    for (id in clamp) {
+        if (this.network.state.hasOwnProperty(id) && this.network.clamp[id] !== clamp[id]) {
+            this.network.clamp[id] = clamp[id];
+            changed.push(id);
+        }
+    }
+    for (id in changed)
+        this.functions[changed[id]] = this.nodeFunction(changed[id], this.network.rules[changed[id]]);
+    return changed;
+};
+
+/**
+ * Set node states from outside the simulation, e.g. by clicking a node.
+ * The current entry of the trajectory is updated accordingly. Clamped
+ * nodes keep their clamp value.
+ * @param {Object} values A map of node ids to states.
+ */
+SimulationEngine.prototype.setState = function (values) {
+    var id, changed = [];
+    for (id in values) {
+        if (this.network.state.hasOwnProperty(id) && !this.network.clamp.hasOwnProperty(id)) {
+            this.network.state[id] = values[id];
+            changed.push(id);
+        }
+    }
+    this.history[this.iteration] = this.copyState();
+    this.clearVisited();
+    this.emit('change', {
+        changed: changed,
+        state: this.network.state
+    });
+};
+
+/**
+ * Freeze or unfreeze a node. Frozen nodes keep their state upon update.
+ * @param {string} id The node id.
+ * @param {Boolean} frozen The truth value.
+ */
+SimulationEngine.prototype.setFrozen = function (id, frozen) {
+    this.network.freeze[id] = frozen;
+    this.clearVisited();
+    this.emit('change', {
+        changed: [id],
+        state: this.network.state
+    });
+};
+
+/**
+ * Clamp a node to a value, i.e. knock it out (false) or overexpress it
+ * (true), or release it. A clamped node assumes its clamp value at once.
+ * The clamps are recorded with the current entry of the trajectory, so
+ * that stepBack and branch restore them.
+ * @param {string} id The node id.
+ * @param {Boolean} value The clamp value, null to release the node.
+ */
+SimulationEngine.prototype.setClamp = function (id, value) {
+    if (value === null)
+        delete this.network.clamp[id];
+    else {
+        this.network.clamp[id] = value;
+        this.network.state[id] = value;
+        this.history[this.iteration] = this.copyState();
+    }
+    this.clampHistory[this.iteration] = this.copyClamp();
+    this.functions[id] = this.nodeFunction(id, this.network.rules[id]);
+    this.clearVisited();
+    this.emit('change', {
+        changed: [id],
+        state: this.network.state
+    });
+};
+
+/**
+ * Synchronously update the given nodes: all rules are evaluated using the
+ * previous state, only afterwards the state is updated.
+ * @param {Object} state The state to update in place.
+ * @param {Array} ids The ids of the nodes to update.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.synchronousUpdateOf = function (state, ids) {
+    var i, id;
+    var changed = [];
+    var newState = {};
+
+    // Get the new states by calling the respective update rule functions
+    for (i = 0; i < ids.length; i++) {
+        id = ids[i];
+        if (!this.network.freeze[id]) {
+            newState[id] = this.functions[id](state);
+            if (newState[id] !== state[id])
+                changed.push(id);
+        }
+    }
+    // The update is synchronous: the states are updated only after all
+    // the new states are calculated
+    for (i in changed) {
+        id = changed[i];
+        state[id] = newState[id];
+    }
+    return changed;
+};
+
+/**
+ * Update the given nodes one after another in the given order. Every node
+ * sees the states already updated by its predecessors in the same
+ * iteration.
+ * @param {Object} state The state to update in place.
+ * @param {Array} order The node ids in the order of updating.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.sequentialUpdateInOrder = function (state, order) {
+    var i, id, value;
+    var changed = [];
+
+    for (i = 0; i < order.length; i++) {
+        id = order[i];
+        if (this.network.freeze[id])
+            continue;
+        value = this.functions[id](state);
+        if (value !== state[id]) {
+            state[id] = value;
+            changed.push(id);
+        }
+    }
+    return changed;
+};
+
+/**
+ * Calculate the new state of the network using the update rules. All nodes
+ * are updated synchronously.
+ * @param {Object} state The state to update in place.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.synchronousUpdate = function (state) {
+    return this.synchronousUpdateOf(state, Object.keys(this.network.state));
+};
+
+/**
+ * Get the order for the deterministic sequential update scheme. Nodes
+ * listed in the updateOrder option come first, all remaining nodes follow
+ * in the order of the network.
+ * @returns {Array} A list of node ids.
+ */
+SimulationEngine.prototype.getUpdateOrder = function () {
+    var order = [], i, id;
+    var given = this.options.updateOrder || [];
+
+    for (i = 0; i < given.length; i++) {
+        id = given[i];
+        if (this.network.state.hasOwnProperty(id) && order.indexOf(id) < 0)
+            order.push(id);
+    }
+    for (id in this.network.state) {
+        if (order.indexOf(id) < 0)
+            order.push(id);
+    }
+    return order;
+};
+
+/**
+ * @returns {number} A random number in [0, 1).
+ */
+SimulationEngine.prototype.random = function () {
+    return (this.options.random || Math.random)();
+};
+
+/**
+ * Update every node once per iteration in a freshly shuffled order.
+ * @param {Object} state The state to update in place.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.randomOrderUpdate = function (state) {
+    var order = Object.keys(this.network.state);
+    var i, j, tmp;
+
+    // Fisher-Yates shuffle
+    for (i = order.length - 1; i > 0; i--) {
+        j = Math.floor(this.random() * (i + 1));
+        tmp = order[i];
+        order[i] = order[j];
+        order[j] = tmp;
+    }
+    return this.sequentialUpdateInOrder(state, order);
+};
+
+/**
+ * Update one randomly chosen, unfrozen node per iteration.
+ * @param {Object} state The state to update in place.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.asynchronousUpdate = function (state) {
+    var candidates = [], id;
+
+    for (id in this.network.state) {
+        if (!this.network.freeze[id])
+            candidates.push(id);
+    }
+    if (candidates.length === 0)
+        return [];
+    id = candidates[Math.floor(this.random() * candidates.length)];
+    return this.sequentialUpdateInOrder(state, [id]);
+};
+
+/**
+ * Update every node once per iteration in the order given by the
+ * updateOrder option.
+ * @param {Object} state The state to update in place.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.sequentialUpdate = function (state) {
+    return this.sequentialUpdateInOrder(state, this.getUpdateOrder());
+};
+
+/**
+ * Get the priority class of a node. Nodes without an explicitly assigned
+ * class belong to the fastest class.
+ * @param {string} id The node id.
+ * @returns {number} The priority class.
+ */
+SimulationEngine.prototype.getPriorityClass = function (id) {
+    if (this.network.priority.hasOwnProperty(id))
+        return this.network.priority[id];
+    return 1;
+};
+
+/**
+ * Update the network by priority classes like Python BooleanNet's ranked
+ * updating: the classes are processed in ascending order, lower numbers
+ * being the faster classes. Nodes of one class are updated synchronously,
+ * using the states already updated by the faster classes.
+ * @param {Object} state The state to update in place.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.rankedUpdate = function (state) {
+    var classes = {}, ranks = [], changed = [];
+    var i, id, rank;
+
+    for (id in this.network.state) {
+        rank = this.getPriorityClass(id);
+        if (!classes.hasOwnProperty(rank)) {
+            classes[rank] = [];
+            ranks.push(rank);
+        }
+        classes[rank].push(id);
+    }
+    ranks.sort(function (a, b) {
+        return a - b;
+    });
+    for (i = 0; i < ranks.length; i++)
+        changed = changed.concat(this.synchronousUpdateOf(state, classes[ranks[i]]));
+    return changed;
+};
+
+/**
+ * Calculate the next state using the update scheme selected by the
+ * updateScheme option: synchronous (default), randomOrder, asynchronous,
+ * sequential or ranked.
+ * @param {Object} state The state to update in place.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.update = function (state) {
+    switch (this.options.updateScheme) {
+    case 'randomOrder':
+        return this.randomOrderUpdate(state);
+    case 'asynchronous':
+        return this.asynchronousUpdate(state);
+    case 'sequential':
+        return this.sequentialUpdate(state);
+    case 'ranked':
+        return this.rankedUpdate(state);
+    default:
+        return this.synchronousUpdate(state);
+    }
+};
+
+/**
+ * Check whether no update rule would change the given state. With the fully
+ * asynchronous scheme an iteration without changes does not imply that a
+ * steady state was reached.
+ * @param {Object} state The state to check, default the current state.
+ * @returns {Boolean} The truth value.
+ */
+SimulationEngine.prototype.isSteadyState = function (state) {
+    var id;
+    state = state || this.network.state;
+    for (id in this.network.state) {
+        if (!this.network.freeze[id] && this.functions[id](state) !== state[id])
+            return false;
+    }
+    return true;
+};
+
+/**
+ * Encode a state as a string with one digit (0 or 1) per node.
+ * @param {Object} state The state, default the current state.
+ * @returns {string} The key.
+ */
+SimulationEngine.prototype.encodeState = function (state) {
+    var key = '', id;
+    state = state || this.network.state;
+    for (id in this.network.state)
+        key += state[id] ? '1' : '0';
+    return key;
+};
+
+/**
+ * @returns {Boolean} Whether the selected update scheme is deterministic,
+ * i.e. whether every state has exactly one successor. Only then the
+ * recurrence of a state implies a cyclic attractor.
+ */
+SimulationEngine.prototype.isDeterministic = function () {
+    var scheme = this.options.updateScheme || 'synchronous';
+    return scheme === 'synchronous' || scheme === 'sequential' || scheme === 'ranked';
+};
+
+/**
+ * Describe the current dynamics, so that a change of the update scheme or
+ * order can be told apart from a recurring state.
+ * @returns {string} The description.
+ */
+SimulationEngine.prototype.getDynamics = function () {
+    return (this.options.updateScheme || 'synchronous') + ' ' + (this.options.updateOrder || []).join(',');
+};
+
+/**
+ * Forget the states visited so far, e.g. because states, rules or freeze
+ * flags were changed from outside. The current state becomes the first
+ * visited state.
+ */
+SimulationEngine.prototype.clearVisited = function () {
+    this.visited = {};
+    this.visited[this.encodeState()] = this.iteration;
+    this.visitedDynamics = this.getDynamics();
+    this.cycle = null;
+};
+
+/**
+ * Check whether the current state was visited before. If so, the network
+ * is in a cyclic attractor and a cycle event is emitted with the cycle's
+ * length, the iteration it was entered at and its states. The event is
+ * emitted only once per attractor; steady states are reported by the
+ * steady event instead. Nothing is detected with the random update
+ * schemes.
+ */
+SimulationEngine.prototype.detectCycle = function () {
+    var key, first;
+    if (this.visitedDynamics !== this.getDynamics()) {
+        this.clearVisited();
+        return;
+    }
+    if (!this.isDeterministic() || this.cycle !== null)
+        return;
+
+    key = this.encodeState();
+    if (!this.visited.hasOwnProperty(key)) {
+        this.visited[key] = this.iteration;
+        return;
+    }
+    first = this.visited[key];
+    if (this.iteration - first < 2)
+        return;
+    this.cycle = {
+        length: this.iteration - first,
+        firstIteration: first,
+        iteration: this.iteration,
+        states: this.trajectory(first, this.iteration)
+    };
+    this.emit('cycle', this.cycle);
+};
+
+/**
+ * Run a single iteration. The new state is appended to the trajectory,
+ * a step event is emitted and, if the network reached a steady state,
+ * a steady event. With the deterministic update schemes, a cycle event
+ * is emitted when the network entered a cyclic attractor.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.step = function () {
+    var changed = this.update(this.network.state);
+    this.recordIteration(changed);
+    return changed;
+};
+
+/**
+ * Append a given state to the trajectory as if an iteration had led to it,
+ * e.g. to replay a path found by analysing the state space. The same
+ * events as for step are emitted.
+ * @param {Object} values A map of node ids to states.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.stepTo = function (values) {
+    var changed = [], id;
+    for (id in values) {
+        if (this.network.state.hasOwnProperty(id) && this.network.state[id] !== values[id]) {
+            this.network.state[id] = values[id];
+            changed.push(id);
+        }
+    }
+    this.recordIteration(changed);
+    return changed;
+};
+
+/**
+ * Append the current state to the trajectory and emit the events of an
+ * iteration, see step.
+ * @param {Array} changed The nodes changed by the iteration.
+ */
+SimulationEngine.prototype.recordIteration = function (changed) {
+    this.history.push(this.copyState());
+    this.clampHistory.push(this.copyClamp());
+    this.iteration++;
+
+    this.emit('step', {
+        iteration: this.iteration,
+        state: this.network.state,
+        changed: changed
+    });
+    if (changed.length === 0 && this.isSteadyState()) {
+        this.emit('steady', {
+            iteration: this.iteration,
+            state: this.network.state
+        });
+    }
+    this.detectCycle();
+};
+
+/**
+ * Undo the last iteration: its state is removed from the trajectory and the
+ * previous state becomes the current one again, as do the clamps set
+ * since, e.g. by a perturbation schedule. States visited after it are
+ * forgotten by the cycle detection. A back event is emitted with the
+ * iteration and the changed nodes.
+ * @returns {Array} A list of the changed nodes, empty at the first
+ * iteration.
+ */
+SimulationEngine.prototype.stepBack = function () {
+    var previous, changed, id, key;
+    if (this.iteration === 0)
+        return [];
+
+    this.history.length = this.iteration;
+    this.clampHistory.length = this.iteration;
+    this.iteration--;
+    previous = this.history[this.iteration];
+    changed = this.restoreClamp(this.clampHistory[this.iteration]);
+    for (id in this.network.state) {
+        if (previous.hasOwnProperty(id) && this.network.state[id] !== previous[id]) {
+            this.network.state[id] = previous[id];
+            if (changed.indexOf(id) < 0)
+                changed.push(id);
+        }
+    }
+
+    for (key in this.visited) {
+        if (this.visited[key] > this.iteration)
+            delete this.visited[key];
+    }
+    if (this.cycle !== null && this.cycle.iteration > this.iteration)
+        this.cycle = null;
+    if (Object.keys(this.visited).length === 0)
+        this.clearVisited();
+
+    this.emit('back', {
+        iteration: this.iteration,
+        state: this.network.state,
+        changed: changed
+    });
+    return changed;
+};
+
+/**
+ * Continue the trajectory from an earlier state, e.g. to try another
+ * perturbation from there. The state and its clamps are appended to the
+ * trajectory as a new branch rather than discarding the states after it;
+ * cycle detection starts afresh. A branch event is emitted with the new
+ * iteration, the iteration branched from and the changed nodes.
+ * @param {number} iteration The index of the earlier state.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.branch = function (iteration) {
+    var state = this.history[iteration], changed, id;
+    changed = this.restoreClamp(this.clampHistory[iteration]);
+    for (id in this.network.state) {
+        if (state.hasOwnProperty(id) && this.network.state[id] !== state[id]) {
+            this.network.state[id] = state[id];
+            if (changed.indexOf(id) < 0)
+                changed.push(id);
+        }
+    }
+    this.history.push(this.copyState());
+    this.clampHistory.push(this.copyClamp());
+    this.iteration++;
+    this.clearVisited();
+    this.emit('branch', {
+        iteration: this.iteration,
+        from: iteration,
+        state: this.network.state,
+        changed: changed
+    });
+    return changed;
+};
+
+/**
+ * Let the current branch start from another earlier state instead, e.g.
+ * when another state is picked before the branch was simulated. The
+ * state and its clamps replace the current entry of the trajectory, see
+ * branch. A change event is emitted with the changed nodes.
+ * @param {number} iteration The index of the earlier state.
+ * @returns {Array} A list of the changed nodes.
+ */
+SimulationEngine.prototype.rebranch = function (iteration) {
+    var state = this.history[iteration], changed, id;
+    changed = this.restoreClamp(this.clampHistory[iteration]);
+    for (id in this.network.state) {
+        if (state.hasOwnProperty(id) && this.network.state[id] !== state[id]) {
+            this.network.state[id] = state[id];
+            if (changed.indexOf(id) < 0)
+                changed.push(id);
+        }
+    }
+    this.history[this.iteration] = this.copyState();
+    this.clampHistory[this.iteration] = this.copyClamp();
+    this.clearVisited();
+    this.emit('change', {
+        changed: changed,
+        state: this.network.state
+    });
+    return changed;
+};
+
+/**
+ * Run iterations until a steady state or a cyclic attractor is reached,
+ * but at most maxSteps.
+ * @param {number} maxSteps The maximum number of iterations.
+ * @returns {number} The number of iterations run.
+ */
+SimulationEngine.prototype.run = function (maxSteps) {
+    var i;
+    for (i = 0; i < maxSteps; i++) {
+        if ((this.step().length === 0 && this.isSteadyState()) || this.cycle !== null)
+            return i + 1;
+    }
+    return maxSteps;
+};
+
+/**
+ * Clear the trajectory, making the current state the first one of the new
+ * trajectory.
+ * @param {Object} state Optionally, the node states to start from.
+ */
+SimulationEngine.prototype.reset = function (state) {
+    var id;
+    if (state) {
+        for (id in state) {
+            if (this.network.state.hasOwnProperty(id))
+                this.network.state[id] = state[id];
+        }
+    }
+    this.history = [this.copyState()];
+    this.clampHistory = [this.copyClamp()];
+    this.iteration = 0;
+    this.clearVisited();
+    this.emit('reset', {
+        state: this.network.state
+    });
+};
+
+/**
+ * Get the states passed so far.
+ * @param {number} from Index of the first state, default 0.
+ * @param {number} to Index after the last state, default the current
+ * iteration + 1.
+ * @returns {Array} Copies of the states.
+ */
+SimulationEngine.prototype.trajectory = function (from, to) {
+    var i, id, result = [];
+    if (typeof (from) === 'undefined') from = 0;
+    if (typeof (to) === 'undefined') to = this.iteration + 1;
+    for (i = from; i < to && i < this.history.length; i++) {
+        result.push({});
+        for (id in this.history[i])
+            result[result.length - 1][id] = this.history[i][id];
+    }
+    return result;
+};
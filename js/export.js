@@ -1,59 +1,382 @@
+/*
+ * Write an update rule in the syntax of another dialect, see formatRule.
+ * Rules that cannot be parsed are returned unchanged and reported, see
+ * ruleExportError.
+ * @param {string} id The node id.
+ * @param {string} rule The update rule in JavaScript syntax.
+ * @param {string} dialect The name of the dialect.
+ * @param {Array} diagnostics The diagnostics to add errors to.
+ * @returns {string} The converted rule.
+ */
+var convertRule = function (id, rule, dialect, diagnostics) {
+    try {
+        return formatRule(parseRule(rule, { dialect: 'js' }), dialect);
+    } catch (e) {
+        diagnostics.push(ruleExportError(id, e));
+        return rule;
+    }
+};
+
+/*
+ * Report a rule that cannot be exported, instead of writing a file that
+ * behaves differently from the network.
+ * @param {string} id The node id.
+ * @param {Error} e The error raised while parsing the node's rule.
+ * @returns {Object} The diagnostic, see createDiagnostic.
+ */
+ruleExportError = function (id, e) {
+    return createDiagnostic('error', null, null, id, 'The rule of ' + id + ' could not be exported: ' + (e.message || e),
+                            'Correct the rule in the rule editor');
+};
+
 /*
  * Export the update rules to a R BoolNet file. Take care of the
  * difference is logical operators between JS and R.
- * @returns {string} The R BoolNet file data.
+ * @returns {Object} boolnet, the R BoolNet file data, and the diagnostics
+ * (see createDiagnostic), an error for every rule that cannot be parsed.
  */
 exportRBoolNet = function (network) {
-    var rbn = 'targets, factors\n';
-    var i, r;
+    var rbn = 'targets, factors\n', diagnostics = [];
+    var i;
 
-    // Replace the JS logical operators with those of R for each update
-    // rule
-    for (i in network.rules) {
-        r = network.rules[i].replace(/&&/g, '&')
-            .replace(/\|\|/g, '|')
-            .replace(/true/g, 'TRUE')
-            .replace(/false/g, 'FALSE');
-        rbn += i + ', ' + r + '\n';
-    }
-    return rbn;
+    for (i in network.rules)
+        rbn += i + ', ' + convertRule(i, network.rules[i], 'r', diagnostics) + '\n';
+    return { boolnet: rbn, diagnostics: diagnostics };
+};
+
+/*
+ * Export the update rules to a .bnet file as read by PyBoolNet and BioLQM.
+ * @returns {Object} bnet, the .bnet file data, and the diagnostics (see
+ * createDiagnostic), an error for every rule that cannot be parsed.
+ */
+exportBNet = function (network) {
+    var bnet = 'targets, factors\n', diagnostics = [];
+    var i;
+
+    for (i in network.rules)
+        bnet += i + ', ' + convertRule(i, network.rules[i], 'bnet', diagnostics) + '\n';
+    return { bnet: bnet, diagnostics: diagnostics };
 };
 
 /*
  * Export the update rules to a Python BooleanNet file. Take care of the
  * difference is logical operators between JS and Python.
- * @returns {string} The Python BooleanNet file data.
+ * @returns {Object} booleannet, the Python BooleanNet file data, and the
+ * diagnostics (see createDiagnostic), an error for every rule that cannot
+ * be parsed.
  */
 exportPythonBooleanNet = function (network) {
-    var pbn = '';
-    var i, r;
+    var pbn = '', diagnostics = [];
+    var i;
 
-    // Replace the JS logical operators with those of Python for each update
-    // rule
     for (i in network.rules) {
-        r = network.rules[i].replace(/&&/g, ' and ')
-            .replace(/\|\|/g, ' or ')
-            .replace(/true/g, 'True')
-            .replace(/false/g, 'False')
-            .replace(/[!]/g, ' not ')
-            .replace(/ +/g, ' ');
-        pbn += i + '* = ' + r + '\n';
-    }
-    return pbn;
+        if (network.priority && network.priority.hasOwnProperty(i))
+            pbn += network.priority[i] + ': ';
+        pbn += i + '* = ' + convertRule(i, network.rules[i], 'python', diagnostics) + '\n';
+    }
+    return { booleannet: pbn, diagnostics: diagnostics };
 };
 
+/*
+ * The maximum number of regulators of a node exported to GINML, whose
+ * parameters enumerate the combinations of the regulators.
+ */
+var maxGINMLRegulators = 12;
 
 /*
- * Export all states to JSON. Required for the simulation of SBML files
- * using libscopes on the server.
- * @param {Array} states A list of the states which have to exported.
- * @returns {string} The JSON string for the exported states.
+ * Export the network to a GINML file, the format of GINsim. Every
+ * regulator of a rule becomes an interaction that is active if the
+ * regulator is on, its sign is derived from the rule like when importing.
+ * The rule is written as truth table: a logical parameter for every
+ * combination of active interactions switching the node on, the basevalue
+ * for no active interaction. If the graph is given, the node positions
+ * are written as visual settings.
+ * @param {Object} network The network with rules and state.
+ * @param {Object} graph The graph in jSBGN format (optional).
+ * @returns {Object} ginml, the GINML file data, and the diagnostics (see
+ * createDiagnostic), an error for every rule that cannot be parsed and for
+ * every node with more than maxGINMLRegulators regulators.
  */
-exportStateJSON = function (states) {
+exportGINML = function (network, graph) {
+    var ids = Object.keys(network.state);
+    var positions = {}, edges = [], nodes = [], diagnostics = [];
+    var i, j, id, ast, regulators, signs, edgeIDs, state, active, combination, baseValue, parameters, xml;
+
+    for (id in network.rules) {
+        if (ids.indexOf(id) < 0)
+            ids.push(id);
+    }
+    if (graph && graph.nodes) {
+        for (i = 0; i < graph.nodes.length; i++) {
+            if (graph.nodes[i].data && typeof (graph.nodes[i].data.x) === 'number' && typeof (graph.nodes[i].data.y) === 'number')
+                positions[graph.nodes[i].id] = graph.nodes[i].data;
+        }
+    }
+
+    for (i = 0; i < ids.length; i++) {
+        id = ids[i];
+        try {
+            ast = parseRule(network.rules.hasOwnProperty(id) ? network.rules[id] : id, { dialect: 'js' });
+        } catch (e) {
+            diagnostics.push(ruleExportError(id, e));
+            continue;
+        }
+        regulators = ruleNodeIDs(ast);
+        signs = ruleRegulatorSigns(ast);
+        edgeIDs = [];
+        for (j = 0; j < regulators.length; j++) {
+            edgeIDs.push(regulators[j] + '_' + id + '_0');
+            edges.push('\t\t<edge id="' + edgeIDs[j] + '" from="' + regulators[j] + '" to="' + id +
+                       '" minvalue="1" sign="' + signs[regulators[j]] + '"/>');
+        }
+
+        // Truth table of the rule
+        baseValue = 0;
+        parameters = '';
+        if (regulators.length > maxGINMLRegulators) {
+            diagnostics.push(createDiagnostic('error', null, null, id, 'The node ' + id + ' has ' + regulators.length +
+                ' regulators, its parameters can only be listed for up to ' + maxGINMLRegulators + ' regulators',
+                'Simplify the rule of ' + id + ' or split it using intermediate nodes'));
+            continue;
+        }
+        for (combination = 0; combination < (1 << regulators.length); combination++) {
+            state = {};
+            active = [];
+            for (j = 0; j < regulators.length; j++) {
+                state[regulators[j]] = (combination & (1 << j)) !== 0;
+                if (state[regulators[j]])
+                    active.push(edgeIDs[j]);
+            }
+            if (!evaluateRule(ast, state))
+                continue;
+            if (active.length === 0)
+                baseValue = 1;
+            else
+                parameters += '\t\t\t<parameter idActiveInteractions="' + active.join(' ') + '" val="1"/>\n';
+        }
+        xml = '\t\t<node id="' + id + '" basevalue="' + baseValue + '" maxvalue="1">\n' + parameters;
+        if (positions.hasOwnProperty(id)) {
+            xml += '\t\t\t<nodevisualsetting>\n\t\t\t\t<ellipse x="' + Math.round(positions[id].x) +
+                '" y="' + Math.round(positions[id].y) + '" width="' + Math.round(positions[id].width || 50) +
+                '" height="' + Math.round(positions[id].height || 30) +
+                '" backgroundColor="#FFFFFF" foregroundColor="#000000"/>\n\t\t\t</nodevisualsetting>\n';
+        }
+        nodes.push(xml + '\t\t</node>');
+    }
+
+    return {
+        ginml: [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!DOCTYPE gxl SYSTEM "http://gin.univ-mrs.fr/GINsim/GINML_2_1.dtd">',
+            '<gxl xmlns:xlink="http://www.w3.org/1999/xlink">',
+            '\t<graph id="BooleSim" class="regulatory" nodeorder="' + ids.join(' ') + '">'
+        ].concat(nodes, edges, ['\t</graph>', '</gxl>']).join('\n') + '\n',
+        diagnostics: diagnostics
+    };
+};
+
+/*
+ * Keywords of NuSMV, which cannot be used as variable names.
+ */
+var nusmvKeywords = ('MODULE DEFINE MDEFINE CONSTANTS VAR IVAR FROZENVAR INIT TRANS INVAR SPEC CTLSPEC LTLSPEC ' +
+    'PSLSPEC COMPUTE NAME INVARSPEC FAIRNESS JUSTICE COMPASSION ISA ASSIGN CONSTRAINT SIMPWFF CTLWFF LTLWFF ' +
+    'PSLWFF COMPWFF IN MIN MAX MIRROR PRED PREDICATES process array of boolean integer real word word1 bool ' +
+    'signed unsigned extend resize sizeof uwconst swconst EX AX EF AF EG AG E F O G H X Y Z A U S V T BU EBF ' +
+    'ABF EBG ABG case esac mod next init union in xor xnor self TRUE FALSE count abs max min').split(' ');
+
+/*
+ * The keywords of NuSMV specifications by the way they are used: prefix
+ * operators, path quantifiers followed by [, binary operators, functions
+ * followed by ( and constants.
+ */
+var nusmvSpecOperators = {
+    prefix: 'EX AX EF AF EG AG F G H O X Y Z EBF ABF EBG ABG'.split(' '),
+    quantifier: ['A', 'E'],
+    binary: 'U V S T BU mod union in xor xnor'.split(' '),
+    'function': 'next init count abs max min'.split(' '),
+    constant: 'case esac self TRUE FALSE'.split(' ')
+};
+
+/*
+ * Rename the nodes in a NuSMV specification like in the model, see
+ * exportNuSMV. An operator is taken as a node, if it stands where an
+ * operand is expected: e.g. in AG(X -> AF X) both X are the node X.
+ * @param {string} spec The specification, without the leading keyword.
+ * @param {Object} names The names in the model by node id.
+ * @param {Function} ambiguous Called with the offset and the name of nodes
+ * named like constants, which are kept.
+ * @returns {string} The renamed specification.
+ */
+var renameSpecNodes = function (spec, names, ambiguous) {
+    var operand = false;
+    return spec.replace(/[A-Za-z0-9_]+|\S/g, function (token, offset) {
+        var after = spec.slice(offset + token.length).replace(/^\s+/, '');
+        var keyword = false, renamed = token;
+        if (!/^[A-Za-z0-9_]+$/.test(token)) {
+            // Whether the last token ends an operand, e.g. before a binary operator
+            operand = token === ')' || token === ']';
+            return token;
+        }
+        if (names.hasOwnProperty(token) && names[token] !== token && !/^[0-9]+$/.test(token)) {
+            if (nusmvSpecOperators.prefix.indexOf(token) > -1)
+                keyword = !/^($|[&|)\];,=<>-]|!=)/.test(after);
+            else if (nusmvSpecOperators.quantifier.indexOf(token) > -1)
+                keyword = after[0] === '[';
+            else if (nusmvSpecOperators.binary.indexOf(token) > -1)
+                keyword = operand;
+            else if (nusmvSpecOperators['function'].indexOf(token) > -1)
+                keyword = after[0] === '(';
+            else if (nusmvSpecOperators.constant.indexOf(token) > -1) {
+                keyword = true;
+                ambiguous(offset, token);
+            }
+            renamed = keyword ? token : names[token];
+        } else {
+            keyword = !names.hasOwnProperty(token) && !/^[0-9]+$/.test(token) &&
+                nusmvKeywords.indexOf(token) > -1 && nusmvSpecOperators.constant.indexOf(token) < 0;
+        }
+        operand = !keyword;
+        return renamed;
+    });
+};
+
+/*
+ * Export the network to a NuSMV model. Frozen nodes are defined as
+ * constants with their current state, clamped nodes (see
+ * SimulationEngine.setClamp) with their clamp value, the other nodes are variables
+ * initialized with network.initialState (or their current state). With
+ * synchronous semantics all variables are updated at once, with
+ * asynchronous semantics an input variable chooses the one to update.
+ * Nodes whose names are NuSMV keywords (or update, the name of the input
+ * variable) are renamed, see the comment at the top of the model, in the
+ * rules as well as in the specifications.
+ * @param {Object} network The network with rules, state, initialState, freeze
+ * and clamp.
+ * @param {Object} options semantics (synchronous or asynchronous) and
+ * specs, the CTL/LTL specifications to append, one per line. Lines not
+ * starting with a specification keyword are CTL specifications.
+ * @returns {Object} smv, the NuSMV model, and the diagnostics (see
+ * createDiagnostic): errors for rules that cannot be parsed, warnings for
+ * nodes in the specifications that were taken as keywords.
+ */
+exportNuSMV = function (network, options) {
+    var ids = Object.keys(network.state);
+    var freeze = network.freeze || {};
+    var clamp = network.clamp || {};
+    var initialState = network.initialState || {};
+    var asynchronous = options && options.semantics === 'asynchronous';
+    var names = {}, variables = [], constants = [], renamed = [];
+    var smv = [], diagnostics = [], i, id, value, rule, specs, keyword;
+    var dialect = { and: '&', or: '|', not: '!', 'true': 'TRUE', 'false': 'FALSE' };
+
+    // Rename the nodes in a rule
+    var rename = function (ast) {
+        if (ast.type === 'id')
+            return { type: 'id', name: names.hasOwnProperty(ast.name) ? names[ast.name] : ast.name };
+        if (ast.type === 'not')
+            return { type: 'not', arg: rename(ast.arg) };
+        if (ast.args)
+            return { type: ast.type, args: ast.args.map(rename) };
+        return ast;
+    };
+
+    for (id in network.rules) {
+        if (ids.indexOf(id) < 0)
+            ids.push(id);
+    }
+    for (i = 0; i < ids.length; i++) {
+        id = ids[i];
+        names[id] = id;
+        if (nusmvKeywords.indexOf(id) > -1 || /^[0-9]/.test(id) || id === 'update') {
+            names[id] = 'node_' + id;
+            renamed.push(id + ' as ' + names[id]);
+        }
+        if (freeze[id] || clamp.hasOwnProperty(id))
+            constants.push(id);
+        else
+            variables.push(id);
+    }
+
+    smv.push('-- Exported from BooleSim with ' + (asynchronous ? 'asynchronous' : 'synchronous') + ' semantics');
+    if (renamed.length > 0)
+        smv.push('-- Renamed nodes: ' + renamed.join(', '));
+    smv.push('MODULE main');
+
+    if (variables.length > 0) {
+        smv.push('VAR');
+        for (i = 0; i < variables.length; i++)
+            smv.push('    ' + names[variables[i]] + ' : boolean;');
+    }
+    if (asynchronous && variables.length > 0) {
+        smv.push('IVAR');
+        smv.push('    update : {' + variables.map(function (id) {
+            return 'update_' + names[id];
+        }).join(', ') + '};');
+    }
+    if (constants.length > 0) {
+        smv.push('DEFINE');
+        for (i = 0; i < constants.length; i++) {
+            id = constants[i];
+            value = clamp.hasOwnProperty(id) ? clamp[id] : network.state[id];
+            smv.push('    ' + names[id] + ' := ' + (value ? 'TRUE' : 'FALSE') + ';');
+        }
+    }
+
+    if (variables.length > 0) {
+        smv.push('ASSIGN');
+        for (i = 0; i < variables.length; i++) {
+            id = variables[i];
+            value = initialState.hasOwnProperty(id) ? initialState[id] : network.state[id];
+            smv.push('    init(' + names[id] + ') := ' + (value ? 'TRUE' : 'FALSE') + ';');
+        }
+        for (i = 0; i < variables.length; i++) {
+            id = variables[i];
+            try {
+                rule = formatRule(rename(parseRule(network.rules.hasOwnProperty(id) ? network.rules[id] : id, { dialect: 'js' })), dialect);
+            } catch (e) {
+                diagnostics.push(ruleExportError(id, e));
+                rule = names[id];
+            }
+            if (asynchronous)
+                smv.push('    next(' + names[id] + ') := case update = update_' + names[id] + ' : ' + rule +
+                         '; TRUE : ' + names[id] + '; esac;');
+            else
+                smv.push('    next(' + names[id] + ') := ' + rule + ';');
+        }
+    }
+
+    specs = ((options && options.specs) || '').split('\n');
+    for (i = 0; i < specs.length; i++) {
+        value = specs[i].trim();
+        if (value.length === 0 || value.indexOf('--') === 0)
+            continue;
+        keyword = /^(SPEC|CTLSPEC|LTLSPEC|INVARSPEC|PSLSPEC|COMPUTE)\b\s*/.exec(value);
+        keyword = keyword === null ? '' : keyword[0];
+        value = keyword + renameSpecNodes(value.slice(keyword.length), names, function (offset, token) {
+            diagnostics.push(createDiagnostic('warning', i + 1,
+                specs[i].length - specs[i].replace(/^\s+/, '').length + keyword.length + offset + 1, token,
+                'The node ' + token + ' is taken as the NuSMV keyword ' + token,
+                'Write ' + names[token] + ' to refer to the node'));
+        });
+        if (keyword.length === 0)
+            value = 'CTLSPEC ' + value;
+        smv.push(value + (value[value.length - 1] === ';' ? '' : ';'));
+    }
+    return {
+        smv: smv.join('\n') + '\n',
+        diagnostics: diagnostics
+    };
+};
+
+/*
+ * Convert states from Boolean to 0/1, as expected by the Python libscopes
+ * library and by R.
+ * @param {Array} states A list of states.
+ * @returns {Array} The converted states.
+ */
+var binaryStates = function (states) {
     var i, j;
     var exportStates = [];
-    // Loop over all states and convert Boolean to 0/1 for the Python
-    // libscopes library
     for (i in states) {
         exportStates.push({});
         for (j in states[i]) {
@@ -61,5 +384,96 @@ exportStateJSON = function (states) {
             else exportStates[i][j] = 0;
         }
     }
-    return JSON.stringify(exportStates);
+    return exportStates;
+};
+
+/*
+ * Export all states to JSON. Required for the simulation of SBML files
+ * using libscopes on the server.
+ * @param {Array} states A list of the states which have to exported.
+ * @returns {string} The JSON string for the exported states.
+ */
+exportStateJSON = function (states) {
+    return JSON.stringify(binaryStates(states));
+};
+
+/*
+ * Find the simulation run an iteration belongs to. Every time the
+ * simulation is started again a new run begins, whose first state is the
+ * last state of the previous run.
+ * @param {Array} runStarts The first iteration of each run, ascending.
+ * @param {number} iteration The iteration.
+ * @returns {number} The index of the run.
+ */
+var timeseriesRun = function (runStarts, iteration) {
+    var run = 0;
+    while (run + 1 < runStarts.length && runStarts[run + 1] <= iteration)
+        run++;
+    return run;
+};
+
+/*
+ * Export the time series as CSV: one row per iteration, one column per
+ * node, preceded by the iteration, the run (starting at 1) and the
+ * iteration within the run.
+ * @param {Array} nodes The node ids in the order of the columns.
+ * @param {Array} states The state of every iteration.
+ * @param {Array} runStarts The first iteration of each run.
+ * @returns {string} The CSV data.
+ */
+exportTimeseriesCSV = function (nodes, states, runStarts) {
+    var lines = ['iteration,run,step,' + nodes.join(',')];
+    var i, run;
+    for (i = 0; i < states.length; i++) {
+        run = timeseriesRun(runStarts, i);
+        lines.push(i + ',' + (run + 1) + ',' + (i - runStarts[run]) + ',' + nodes.map(function (id) {
+            return states[i][id] ? 1 : 0;
+        }).join(','));
+    }
+    return lines.join('\n') + '\n';
+};
+
+/*
+ * Export the time series as JSON. Besides the states (as written by
+ * exportStateJSON) the iterations and runs are described, e.g.
+ *   {"nodes": ["A", "B"], "updateScheme": "synchronous",
+ *    "runs": [{"run": 1, "firstIteration": 0, "lastIteration": 1},
+ *             {"run": 2, "firstIteration": 2, "lastIteration": 2, "branchedFrom": 0}],
+ *    "iterations": [{"iteration": 0, "run": 1, "step": 0}, ...],
+ *    "states": [{"A": 1, "B": 0}, ...]}
+ * A run branched from an earlier iteration starts with a copy of its state,
+ * otherwise with the last state of the previous run.
+ * @param {Array} nodes The node ids.
+ * @param {Array} states The state of every iteration.
+ * @param {Array} runStarts The first iteration of each run.
+ * @param {string} updateScheme The update scheme used.
+ * @param {Object} branches The iteration a run branched from by its first
+ * iteration (optional).
+ * @returns {string} The JSON data.
+ */
+exportTimeseriesJSON = function (nodes, states, runStarts, updateScheme, branches) {
+    var runs = [], iterations = [], i, run;
+    branches = branches || {};
+    for (i = 0; i < runStarts.length && runStarts[i] < states.length; i++) {
+        run = {
+            run: i + 1,
+            firstIteration: runStarts[i],
+            lastIteration: i + 1 < runStarts.length ? runStarts[i + 1] - (branches.hasOwnProperty(runStarts[i + 1]) ? 1 : 0) :
+                states.length - 1
+        };
+        if (branches.hasOwnProperty(runStarts[i]))
+            run.branchedFrom = branches[runStarts[i]];
+        runs.push(run);
+    }
+    for (i = 0; i < states.length; i++) {
+        run = timeseriesRun(runStarts, i);
+        iterations.push({ iteration: i, run: run + 1, step: i - runStarts[run] });
+    }
+    return JSON.stringify({
+        nodes: nodes,
+        updateScheme: updateScheme || 'synchronous',
+        runs: runs,
+        iterations: iterations,
+        states: binaryStates(states)
+    }, null, 2) + '\n';
 };
\ No newline at end of file
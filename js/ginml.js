@@ -0,0 +1,262 @@
+/*
+ * Import of GINML files, the format of GINsim. The target level of a node
+ * is given by logical parameters: a parameter applies if exactly the
+ * interactions it lists are active, an interaction being active if the
+ * level of its source lies between its minvalue and maxvalue. If none of
+ * the interactions is active, the target level is the node's basevalue,
+ * otherwise it is 0 if no parameter applies. Positions are taken from the
+ * node visual settings.
+ *
+ * Nodes with more than two levels are Booleanised: a node X with maxvalue
+ * m is replaced by the nodes X_1 ... X_m, X_k being true if X is at level
+ * k or above.
+ */
+
+/*
+ * Combine rule ASTs with AND or OR, dropping constants that do not
+ * change the result.
+ * @param {string} type and or or.
+ * @param {Array} args The ASTs to combine.
+ * @returns {Object} The AST.
+ */
+var combineRules = function (type, args) {
+    var neutral = type === 'and', operands = [], i;
+    for (i = 0; i < args.length; i++) {
+        if (args[i].type === 'const') {
+            if (args[i].value !== neutral)
+                return { type: 'const', value: !neutral };
+        } else if (args[i].type === type)
+            operands = operands.concat(args[i].args);
+        else
+            operands.push(args[i]);
+    }
+    if (operands.length === 0)
+        return { type: 'const', value: neutral };
+    return operands.length === 1 ? operands[0] : { type: type, args: operands };
+};
+
+/*
+ * @param {Object} ast The AST to negate.
+ * @returns {Object} The negated AST.
+ */
+var negateRule = function (ast) {
+    if (ast.type === 'const')
+        return { type: 'const', value: !ast.value };
+    if (ast.type === 'not')
+        return ast.arg;
+    return { type: 'not', arg: ast };
+};
+
+/*
+ * Get the ids of the Boolean nodes a GINML node is Booleanised into.
+ * @param {string} id The id of the GINML node.
+ * @param {number} maxValue Its maximum level.
+ * @returns {Array} The ids, the k-th one being true at level k+1 or above.
+ */
+var ginmlLevelIDs = function (id, maxValue) {
+    var ids = [], k;
+    if (maxValue <= 1)
+        return [id];
+    for (k = 1; k <= maxValue; k++)
+        ids.push(id + '_' + k);
+    return ids;
+};
+
+/*
+ * Parse a GINML file.
+ * @param {string} data The contents of the file.
+ * @returns {Object} The rules by target node, the initial values, the
+ * node positions by id and the diagnostics (see createDiagnostic).
+ */
+parseGINML = function (data) {
+    var result = {
+        rules: {},
+        initialValues: {},
+        positions: {},
+        diagnostics: []
+    };
+    var warning = function (token, message, hint) {
+        result.diagnostics.push(createDiagnostic('warning', null, null, token, message, hint));
+    };
+    var error = function (token, message, hint) {
+        result.diagnostics.push(createDiagnostic('error', null, null, token, message, hint));
+    };
+
+    var xml = new DOMParser().parseFromString(data, 'application/xml');
+    var parserError = xml.getElementsByTagName('parsererror');
+    if (parserError.length > 0) {
+        var match = /line (\d+) at column (\d+)/.exec(parserError[0].textContent);
+        result.diagnostics.push(createDiagnostic('error', match ? parseInt(match[1], 10) : null,
+            match ? parseInt(match[2], 10) : null, '', 'Invalid XML: ' + parserError[0].textContent.trim().split('\n')[0],
+            'Check that all tags are closed and attributes quoted'));
+        return result;
+    }
+
+    var nodeElements = Array.prototype.slice.call(xml.getElementsByTagName('node'));
+    var edgeElements = Array.prototype.slice.call(xml.getElementsByTagName('edge'));
+    var nodes = {}, edges = {};
+
+    // Nodes
+    nodeElements.forEach(function (element) {
+        var id = element.getAttribute('id');
+        var maxValue = parseInt(element.getAttribute('maxvalue') || '1', 10);
+        if (id === null || !/^[A-Za-z0-9_]+$/.test(id)) {
+            error(id || '', "Bogus node ID '" + id + "'", 'Node names may only contain letters, digits and underscores');
+            return;
+        }
+        nodes[id] = {
+            element: element,
+            maxValue: maxValue,
+            baseValue: parseInt(element.getAttribute('basevalue') || '0', 10),
+            incoming: []
+        };
+        if (maxValue > 1)
+            warning(id, 'Node ' + id + ' has the levels 0 to ' + maxValue + ' and is replaced by the Boolean nodes ' +
+                    ginmlLevelIDs(id, maxValue).join(', ') + ', ' + id + '_k being true if ' + id + ' is at level k or above',
+                    'Booleanise the model in GINsim to choose the Boolean nodes yourself');
+    });
+    if (nodeElements.length === 0) {
+        error('', 'The file contains no nodes', 'Only regulatory graphs of GINsim can be imported');
+        return result;
+    }
+    if (hasDiagnosticErrors(result.diagnostics))
+        return result;
+
+    // The condition that a node is at the given level or above
+    var atLeast = function (id, level) {
+        if (level <= 0)
+            return { type: 'const', value: true };
+        if (level > nodes[id].maxValue)
+            return { type: 'const', value: false };
+        return { type: 'id', name: ginmlLevelIDs(id, nodes[id].maxValue)[level - 1] };
+    };
+
+    // Interactions
+    edgeElements.forEach(function (element) {
+        var id = element.getAttribute('id');
+        var from = element.getAttribute('from'), to = element.getAttribute('to');
+        var min = parseInt(element.getAttribute('minvalue') || '1', 10);
+        var max = element.getAttribute('maxvalue');
+        if (!nodes.hasOwnProperty(from) || !nodes.hasOwnProperty(to)) {
+            error(id, 'Interaction ' + id + ' connects the unknown node ' + (nodes.hasOwnProperty(from) ? to : from),
+                  'Declare the node before using it');
+            return;
+        }
+        max = (max === null || max === 'max') ? nodes[from].maxValue : parseInt(max, 10);
+        edges[id] = combineRules('and', [atLeast(from, min), negateRule(atLeast(from, max + 1))]);
+        nodes[to].incoming.push(id);
+    });
+    if (hasDiagnosticErrors(result.diagnostics))
+        return result;
+
+    // Rules
+    var id, node, conditions, k, rule, levels, unknown, basal;
+    for (id in nodes) {
+        node = nodes[id];
+        conditions = [];
+        unknown = [];
+        basal = true;
+        Array.prototype.slice.call(node.element.getElementsByTagName('parameter')).forEach(function (parameter) {
+            var active = (parameter.getAttribute('idActiveInteractions') || '').split(/\s+/).filter(function (edge) {
+                return edge.length > 0;
+            });
+            var terms = [], i;
+            if (active.length === 0)
+                basal = false;
+            for (i = 0; i < active.length; i++) {
+                if (!edges.hasOwnProperty(active[i]))
+                    unknown.push(active[i]);
+            }
+            // Exactly the listed interactions must be active
+            for (i = 0; i < node.incoming.length; i++) {
+                if (active.indexOf(node.incoming[i]) > -1)
+                    terms.push(edges[node.incoming[i]]);
+                else
+                    terms.push(negateRule(edges[node.incoming[i]]));
+            }
+            conditions.push({
+                rule: combineRules('and', terms),
+                value: parseInt(parameter.getAttribute('val') || '1', 10)
+            });
+        });
+        // The basal value applies if no interaction is active
+        if (basal && node.baseValue > 0) {
+            conditions.push({
+                rule: combineRules('and', node.incoming.map(function (edge) {
+                    return negateRule(edges[edge]);
+                })),
+                value: node.baseValue
+            });
+        }
+        if (unknown.length > 0) {
+            error(id, 'The parameters of ' + id + ' refer to the unknown interactions ' + unknown.join(', '),
+                  'Check the ids in idActiveInteractions');
+            continue;
+        }
+
+        levels = ginmlLevelIDs(id, node.maxValue);
+        for (k = 1; k <= levels.length; k++) {
+            // The target level is k or above if a parameter with such a value applies
+            rule = combineRules('or', conditions.filter(function (c) {
+                return c.value >= k;
+            }).map(function (c) {
+                return c.rule;
+            }));
+            // Constant rules keep the node's state, which may be toggled by clicking
+            if (rule.type === 'const') {
+                result.rules[levels[k - 1]] = levels[k - 1];
+                result.initialValues[levels[k - 1]] = rule.value;
+            } else
+                result.rules[levels[k - 1]] = formatRule(rule, 'js');
+        }
+    }
+
+    // Layout, GINsim either writes the coordinates into the node visual
+    // setting or into a shape element inside of it
+    nodeElements.forEach(function (element) {
+        var id = element.getAttribute('id'), setting, shape, x, y, i, levels;
+        setting = element.getElementsByTagName('nodevisualsetting');
+        if (!nodes.hasOwnProperty(id) || setting.length === 0)
+            return;
+        shape = setting[0].getAttribute('x') !== null ? setting[0] : null;
+        for (i = 0; shape === null && i < setting[0].childNodes.length; i++) {
+            if (setting[0].childNodes[i].nodeType === 1 && setting[0].childNodes[i].getAttribute('x') !== null)
+                shape = setting[0].childNodes[i];
+        }
+        if (shape === null)
+            return;
+        x = parseFloat(shape.getAttribute('x'));
+        y = parseFloat(shape.getAttribute('y'));
+        levels = ginmlLevelIDs(id, nodes[id].maxValue);
+        for (i = 0; i < levels.length; i++)
+            result.positions[levels[i]] = { x: x, y: y + 40 * i };
+    });
+
+    if (!hasDiagnosticErrors(result.diagnostics))
+        checkUndefinedRegulators(result.diagnostics, result.rules);
+    return result;
+};
+
+/**
+ * Import a GINML file into the jSBGN object.
+ * @param {string} data The data contained in the GINML file.
+ * @returns {boolean} Whether the import succeeded. Errors and warnings are
+ * stored in the diagnostics property. If all nodes have positions, the
+ * positioned property is set and no layouting is required.
+ */
+jSBGN.prototype.importGINML = function (data) {
+    var parsed = parseGINML(data);
+
+    this.diagnostics = parsed.diagnostics;
+    if (hasDiagnosticErrors(parsed.diagnostics)) {
+        console.error(parsed.diagnostics.map(formatDiagnostic).join('\n'));
+        return false;
+    }
+
+    this.setInitialValues(parsed.initialValues);
+    this.createGraph(parsed.rules);
+    this.priority = {};
+    this.setPositions(parsed.positions);
+
+    return (this.nodes.length > 0);
+};
@@ -10,6 +10,14 @@ var jSBGN = function () {
     this.edges = [];
     this.state = {};
     this.initialState = {};
+    this.priority = {};
+    this.diagnostics = [];
+    // Perturbations applied in every simulation run, see js/schedule.js
+    this.schedule = [];
+    // Knocked out (false) and overexpressed (true) nodes
+    this.clamp = {};
+    // Properties of the model not used by BooleSim, kept for exporting
+    this.metadata = {};
 };
 
 /**
@@ -83,175 +91,90 @@ jSBGN.prototype.layoutGraph = function (graph) {
 };
 
 
-/** 
- * Import a Boolean Net file(R/Python) into the jSBGN object. These
- * files are quite simple with each line containing an update rule. By
- * parsing this line the connections between nodes are made.
- * @param {string} data The data contained in the Boolean Net file.
- * @param {string} splitKey The character separating the LHS and RHS of
- * a update rule.
+/**
+ * Set the initial node states, as given by a file or by the seed option
+ * chosen in the import dialog.
+ * @param {Object} initialValues The initial value of each node given by the
+ * file: true, false or null for a random value.
  */
-jSBGN.prototype.importBooleanNetwork = function (data, splitKey, reImport) {
+jSBGN.prototype.setInitialValues = function (initialValues) {
+    var targetID, value;
+    for (targetID in initialValues) {
+        if ($('#seedFile').attr('checked')) {
+            value = initialValues[targetID];
+            if (value === null)
+                this.state[targetID] = controls.getRandomSeed();
+            else
+                this.state[targetID] = value;
+        } else if ($('#seedTrue').attr('checked')) {
+            this.state[targetID] = true;
+        } else if ($('#seedFalse').attr('checked')) {
+            this.state[targetID] = false;
+        } else if ($('#seedRandom').attr('checked')) {
+            this.state[targetID] = controls.getRandomSeed();
+        }
+        this.initialState[targetID] = this.state[targetID];
+    }
+};
+
+/**
+ * Create the nodes and edges of the graph from the update rules. A node is
+ * created for every target and regulator, an edge for every regulation,
+ * which is an inhibition unless the regulator acts only positively.
+ * @param {Object} rules The rules by target node in JavaScript syntax.
+ */
+jSBGN.prototype.createGraph = function (rules) {
 
     var targetNode, sourceNode;
     var targetID, sourceID, edgeID;
-    var rules = {}, ruleIDs, rule, right = [], left = [];
+    var ruleIDs, rule, signs, right = [], left = [];
+    var j;
 
     var doc = new sb.Document();
     doc.lang(sb.Language.AF);
 
-    // rxncon exported Boolean networks need to be adjusted in order to work with BooleSim
-    if (data.indexOf('*=') + 1 +
-        data.indexOf('-_P_') + 1 +
-        data.indexOf('_P+_') + 1 +
-        data.indexOf('_P-_') + 1 +
-        data.indexOf('_Ub+_') + 1 +
-        data.indexOf('_Ub-_') + 1 +
-        data.indexOf('-_Cytoplasm_') + 1 +
-        data.indexOf('-_Nucleus_') + 1 > 0) {
-        console.log("Not actually Python. Looks like someone is trying to import a rxncon exported boolean network. Converting ...");
-        data = data
-                .replace(/\*\=/g, '=')
-                .replace(/\-_P_/g, '_P')
-                .replace(/_P\+_/g, '_phos_')
-                .replace(/_P\-_/g, '_dephos_')
-                .replace(/_Ub\+_/g, '_ubi_')
-                .replace(/_Ub\-_/g, '_deubi_')
-                .replace(/\-_Cytoplasm_/g, '_Cytoplasm')
-                .replace(/\-_Nucleus_/g, '_Nucleus')
-                .replace(/\-/g, '_');
-                //.replace(/__/g, '_');
-       //console.log(data);
-    }
-
-    // The file consists of multiple lines with each line representing 
-    // the update rule for a node
-    var lines, cols, i, j, trimmed;
-    lines = data.split('\n');
-    console.log('Importing Boolean network from ' + lines.length + ' lines of text ...');
-    for (i = 0; i < lines.length; i++) {
-        trimmed = lines[i].trim();
-        // Skip empty lines
-        if (trimmed.length === 0) continue;
-        if (trimmed[0] != '#') {
-            // Extract the columns using the split key which is different
-            // for R and Python Boolean Net
-            cols = trimmed.split(splitKey);
-            if (cols.length != 2) {
-                console.error('Syntax error: An update rule must have exactly two sides; line ' + i + ': "' + trimmed + '"');
-                return false;
-            }
-
-            //console.log('Target: '+cols[0]);
-            //console.log('Rule: '+cols[1]);
-
-            targetID = cols[0].trim();
-            if (!reImport) {
-                if (splitKey === ',') {
-                    if (targetID === 'targets') continue;
-                } else {
-                    if (targetID[targetID.length - 1] === '*') {
-                        targetID = targetID.substring(0, targetID.length - 1);
-                    } else {
-                        // Set inital node states
-                        if ($('#seedFile').attr('checked')) {
-                            rule = cols[cols.length - 1].trim();
-                            for (j = 0; j < cols.length - 1; j++) {
-                                targetID = cols[j].trim();
-                                if (rule === 'True')
-                                    this.state[targetID] = true;
-                                else if (rule === 'False')
-                                    this.state[targetID] = false;
-                                else
-                                    this.state[targetID] = controls.getRandomSeed();
-                            }
-                        } else if ($('#seedTrue').attr('checked')) {
-                            this.state[targetID] = true;
-                        } else if ($('#seedFalse').attr('checked')) {
-                            this.state[targetID] = false;
-                        } else if ($('#seedRandom').attr('checked')) {
-                            this.state[targetID] = controls.getRandomSeed();
-                        }
-                        this.initialState[targetID] = this.state[targetID];
-                    }
-                }
-                // Convert R or Python logic to JavaScript
-                rule = cols[1]
-                        .replace(/\bTrue\b/g, 'true')
-                        .replace(/\bFalse\b/g, 'false')
-                        .replace(/[&]/g, ' && ')
-                        .replace(/[|]/g, ' || ')
-                        .replace(/\band\b/g, '&&')
-                        .replace(/\bor\b/g, '||')
-                        .replace(/\bnot\b/g, '!')
-                        .replace(/ +/g, ' ')
-                        .trim();
-
-                if (rule == 'true' || rule == 'false')
-                    console.log('Initial state: '+rule);
-                else
-                    console.log('Update rule: '+rule);
+    for (targetID in rules) {
+        rule = rules[targetID];
 
-            } else {
-                rule = cols[1].trim();
-            }
+        // Create the node if it does not exist
+        if (doc.node(targetID) === null) {
+            targetNode = doc.createNode(targetID).type(sb.NodeType.Macromolecule).label(targetID);
+            console.log('Node created: '+targetID);
+        } else {
+            console.log('Node exists: '+targetID);
+        }
 
-            // Check, whether the targetID contains illegal characters
-            var check = targetID.match(/[A-Za-z0-9_]+/g);
-            if (check[0] !== targetID) {
-                console.error('Syntax error: Bogus target ID; line ' + i + ': "' + trimmed + '"');
-                return false;
-            }
+        // "static" nodes have no incoming arcs
+        if (rule == targetID)
+            continue;
 
-            // Create the node if it does not exist
-            if (doc.node(targetID) === null) {
-                targetNode = doc.createNode(targetID).type(sb.NodeType.Macromolecule).label(targetID);
-                console.log('Node created: '+targetID);
-            } else {
-                console.log('Node exists: '+targetID);
-            }
+        // Extract all the node id's in the update rule and whether they
+        // activate or inhibit the target
+        var ast = parseRule(rule, { dialect: 'js' });
+        ruleIDs = ruleNodeIDs(ast);
+        signs = ruleRegulatorSigns(ast);
+        right = $.unique($.merge(right, ruleIDs));
+        left.push(targetID);
 
-            // Assign rules (right side equation) to nodes (left side of equation)
-            rules[targetID] = rule;
+        // Inspect node dependencies and add edges appropriately
+        for (j in ruleIDs) {
+            sourceID = ruleIDs[j];
 
-            /*
-             * A rule shall neither be empty nor statically be true or false.
-             * Instead such a "static" node shall assume it's previous state upon simulation,
-             * which might be switched by clicking.
-             */
-            if (rule == '' || rule == 'true' || rule == 'false' || rule == targetID) {
-                rules[targetID] = targetID;
+            // no arcs for the trivial rules
+            if (sourceID == targetID)
                 continue;
-            }
 
-            // Extract all the node id's in the update rule
-            ruleIDs = rules[targetID].match(/[A-Za-z0-9_]+/g);
-            right = $.unique($.merge(right, ruleIDs));
-            left.push(targetID);
-
-            // Inspect node dependencies and add edges appropriately
-            for (j in ruleIDs) {
-                sourceID = ruleIDs[j];
-
-                // no arcs for the trivial rules
-                // catch here if statement at line 206 fails
-                if (sourceID == 'true' || sourceID == 'false' || sourceID == targetID)
-                    continue;
-
-                // Create the node if it does not exist
-                if (doc.node(sourceID) === null) {
-                    sourceNode = doc.createNode(sourceID).type(sb.NodeType.Macromolecule).label(sourceID);
-                }
-                // Connect the source and target and create the edge
-                edgeID = sourceID + ' -> ' + targetID;
-                if (doc.arc(edgeID) === null) {
-                    re = new RegExp('![ ]*' + sourceID, 'g');
-                    var matches = rule.match(re);
-                    if (matches !== null)
-                        doc.createArc(edgeID).type(sb.ArcType.Inhibition).source(sourceID).target(targetID);
-                    else
-                        doc.createArc(edgeID).type(sb.ArcType.Production).source(sourceID).target(targetID);
-                }
+            // Create the node if it does not exist
+            if (doc.node(sourceID) === null) {
+                sourceNode = doc.createNode(sourceID).type(sb.NodeType.Macromolecule).label(sourceID);
+            }
+            // Connect the source and target and create the edge
+            edgeID = sourceID + ' -> ' + targetID;
+            if (doc.arc(edgeID) === null) {
+                if (signs[sourceID] !== 'positive')
+                    doc.createArc(edgeID).type(sb.ArcType.Inhibition).source(sourceID).target(targetID);
+                else
+                    doc.createArc(edgeID).type(sb.ArcType.Production).source(sourceID).target(targetID);
             }
         }
     }
@@ -265,34 +188,185 @@ jSBGN.prototype.importBooleanNetwork = function (data, splitKey, reImport) {
     console.log('Imported '+this.nodes.length+' nodes and '+this.edges.length+' edges:');
     console.log(this.nodes);
     console.log(this.edges);
+};
+
+/**
+ * Place the nodes at the positions given by a file. If all nodes have a
+ * position, the positioned property is set and no layouting is required.
+ * @param {Object} positions The x and y coordinates by node id.
+ */
+jSBGN.prototype.setPositions = function (positions) {
+    var i, node, positioned = 0;
+    for (i = 0; i < this.nodes.length; i++) {
+        node = this.nodes[i];
+        if (positions.hasOwnProperty(node.id)) {
+            node.data.x = positions[node.id].x;
+            node.data.y = positions[node.id].y;
+            positioned++;
+        }
+    }
+    this.positioned = this.nodes.length > 0 && positioned === this.nodes.length;
+};
+
+/** 
+ * Import a Boolean Net file(R/Python) into the jSBGN object. These
+ * files are quite simple with each line containing an update rule. By
+ * parsing this line the connections between nodes are made.
+ * @param {string} data The data contained in the Boolean Net file.
+ * @param {string} splitKey The character separating the LHS and RHS of
+ * a update rule.
+ * @param {string} dialect Optional, see parseBooleanNetwork.
+ * @returns {boolean} Whether the import succeeded. Errors and warnings are
+ * stored in the diagnostics property.
+ */
+jSBGN.prototype.importBooleanNetwork = function (data, splitKey, reImport, dialect) {
+
+    var parsed = parseBooleanNetwork(data, splitKey, reImport, dialect);
+    this.diagnostics = parsed.diagnostics;
+    if (hasDiagnosticErrors(parsed.diagnostics)) {
+        console.error(parsed.diagnostics.map(formatDiagnostic).join('\n'));
+        return false;
+    }
+
+    this.setInitialValues(parsed.initialValues);
+    this.createGraph(parsed.rules);
+    this.priority = parsed.priority;
 
     return (this.nodes.length > 0);
 };
 
+/**
+ * Import a MaBoSS model into the jSBGN object.
+ * @param {string} bnd The data contained in the .bnd file.
+ * @param {string} cfg The data contained in the .cfg file, may be empty.
+ * @returns {boolean} Whether the import succeeded. Errors and warnings are
+ * stored in the diagnostics property.
+ */
+jSBGN.prototype.importMaBoSS = function (bnd, cfg) {
+    var parsed = parseMaBoSS(bnd, cfg);
+
+    this.diagnostics = parsed.diagnostics;
+    if (hasDiagnosticErrors(parsed.diagnostics)) {
+        console.error(parsed.diagnostics.map(formatDiagnostic).join('\n'));
+        return false;
+    }
+
+    this.setInitialValues(parsed.initialValues);
+    this.createGraph(parsed.rules);
+    this.priority = {};
+    this.metadata = parsed.metadata;
 
+    return (this.nodes.length > 0);
+};
+
+
+/**
+ * Find the line and column of a character offset in a text.
+ * @param {string} data The text.
+ * @param {number} offset The 0-based offset.
+ * @returns {Object} The 1-based line and column.
+ */
+var offsetToPosition = function (data, offset) {
+    var before = data.substring(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+/**
+ * Import a jSBGN file as written by the jSBGN exporter.
+ * @param {string} data The data contained in the file.
+ * @returns {boolean} Whether the import succeeded. Errors and warnings are
+ * stored in the diagnostics property.
+ */
 jSBGN.prototype.importjSBGN = function (data) {
 
-    var jsbgn;
+    var jsbgn, match, position, offset, ruleIDs, ast, schedule;
+    var diagnostics = this.diagnostics = [];
+    var positions = {}, nodeIDs = {};
     try {
         jsbgn = JSON.parse(data);
     } catch (e) {
         console.error("JSON parser raised an exception: "+e);
+        // Browsers report the position of the problem in different ways
+        position = { line: null, column: null };
+        if ((match = /line (\d+) column (\d+)/.exec(e.message)) !== null)
+            position = { line: parseInt(match[1], 10), column: parseInt(match[2], 10) };
+        else if ((match = /position (\d+)/.exec(e.message)) !== null)
+            position = offsetToPosition(data, parseInt(match[1], 10));
+        diagnostics.push(createDiagnostic('error', position.line, position.column,
+            position.line === null ? '' : data.split('\n')[position.line - 1].charAt(position.column - 1),
+            'Invalid JSON: ' + e.message, 'Check for missing commas, quotes or brackets'));
         return false;
     }
 
-    this.nodes = jsbgn.nodes;
-    this.edges = jsbgn.edges;
+    if (typeof jsbgn.rules !== 'object' || jsbgn.rules === null) {
+        diagnostics.push(createDiagnostic('error', null, null, '', 'The file contains no update rules',
+            'jSBGN files need a "rules" object mapping node IDs to their rules'));
+        return false;
+    }
+
+    this.nodes = jsbgn.nodes || [];
+    this.edges = jsbgn.edges || [];
     this.rules = jsbgn.rules;
+    this.priority = jsbgn.priority || {};
 
     left = [];
     right = [];
     for (i in this.rules) {
+        // Locate the rule in the file, assuming it contains no escaped characters
+        offset = data.indexOf(JSON.stringify(this.rules[i]), data.indexOf(JSON.stringify(i)));
+        position = offset < 0 ? { line: null, column: null } : offsetToPosition(data, offset + 1);
+        try {
+            ast = parseRule(this.rules[i], { dialect: 'js' });
+        } catch (e) {
+            if (!(e instanceof RuleSyntaxError))
+                throw e;
+            diagnostics.push(createDiagnostic('error', position.line,
+                position.column === null ? null : position.column + e.column,
+                e.token, 'In the rule of ' + i + ': ' + e.message, e.hint));
+            continue;
+        }
+        positions[i] = { line: position.line, column: position.column === null ? null : position.column + 1, ast: ast };
         if (this.rules[i] !== i) {
-            var ruleIDs = this.rules[i].match(/[A-Za-z0-9_]+/g);
+            ruleIDs = ruleNodeIDs(ast);
             right = $.unique($.merge(right, ruleIDs));
             left.push(i);
         }
     }
+    if (hasDiagnosticErrors(diagnostics)) {
+        console.error(diagnostics.map(formatDiagnostic).join('\n'));
+        return false;
+    }
+    checkUndefinedRegulators(diagnostics, this.rules, positions);
+
+    // Perturbations and mutations that do not fit the network are dropped
+    if ($.isArray(jsbgn.schedule)) {
+        schedule = parseSchedule(formatSchedule(jsbgn.schedule), Object.keys(this.rules));
+        schedule.diagnostics.forEach(function (d) {
+            diagnostics.push(createDiagnostic('warning', null, null, d.token,
+                'The perturbation ' + formatSchedule([jsbgn.schedule[d.line - 1]]).trim() + ' was dropped: ' + d.message, d.hint));
+        });
+        this.schedule = schedule.perturbations;
+    }
+    if (typeof jsbgn.clamp === 'object' && jsbgn.clamp !== null) {
+        for (i in jsbgn.clamp) {
+            if (this.rules.hasOwnProperty(i) && typeof jsbgn.clamp[i] === 'boolean')
+                this.clamp[i] = jsbgn.clamp[i];
+            else
+                diagnostics.push(createDiagnostic('warning', null, null, i,
+                    'The mutation of ' + i + ' was dropped: ' + (this.rules.hasOwnProperty(i) ? 'Expected true or false' : 'Unknown node ' + i),
+                    'Clamp nodes of the network to true (overexpression) or false (knockout)'));
+        }
+    }
+
+    // Nodes of the graph without a rule are simulated like inputs
+    for (i = 0; i < this.nodes.length; i++)
+        nodeIDs[this.nodes[i].id] = true;
+    for (i in this.rules) {
+        if (!nodeIDs.hasOwnProperty(i))
+            diagnostics.push(createDiagnostic('warning', positions[i].line, positions[i].column, i,
+                'Node ' + i + ' has an update rule but is missing from the graph',
+                'Add the node to the "nodes" list'));
+    }
     this.right = right;
     this.left = left;
 
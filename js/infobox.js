@@ -8,6 +8,8 @@ showRuleBox = function (event) {
     var id = $(this)
         .attr('id');
     var rule = id + ' = ' + network.rules[id];
+    if (network.clamp.hasOwnProperty(id))
+        rule += network.clamp[id] ? ' (overexpressed)' : ' (knocked out)';
 
     var mainEvent = event ? event : window.event;
     //		var menuHeight = 41;   // the height of <ul class="ui-tabs-nav ui-helper-reset ui-helper-clearfix ui-widget-header ui-corner-all">
@@ -0,0 +1,310 @@
+/*
+ * Import and export of MaBoSS models, which consist of a .bnd file
+ * declaring the nodes, e.g.
+ *   Node A {
+ *     logic = B AND NOT C;
+ *     rate_up = @logic ? $u_A : 0;
+ *     rate_down = @logic ? 0 : $d_A;
+ *   }
+ * and a .cfg file setting the variables, initial states and simulation
+ * parameters, e.g. "$u_A = 1;", "[A].istate = 1;" and "max_time = 100;".
+ * The logic becomes the update rule, everything else is kept in the
+ * network's metadata, so that it is written back on export. Nothing in
+ * here depends on the DOM.
+ */
+
+/*
+ * The settings written to a .cfg file, unless the imported model had others.
+ */
+var mabossDefaultSettings = {
+    time_tick: '0.5',
+    max_time: '100',
+    sample_count: '10000',
+    discrete_time: '0',
+    use_physrandgen: '1',
+    thread_count: '1'
+};
+
+/*
+ * Replace the comments of a MaBoSS file with blanks, keeping the line
+ * breaks, so that positions in the result are positions in the file.
+ * @param {string} data The contents of the file.
+ * @returns {string} The contents without comments.
+ */
+var blankMaBoSSComments = function (data) {
+    return data.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, function (comment) {
+        return comment.replace(/[^\n]/g, ' ');
+    });
+};
+
+/*
+ * @param {string} data The contents of a file.
+ * @param {number} offset A 0-based offset into it.
+ * @returns {Object} The 1-based line and column of the offset.
+ */
+var mabossPosition = function (data, offset) {
+    var before = data.substring(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+/*
+ * Split text into the statements "name = value;" it consists of.
+ * @param {string} text The text, without comments.
+ * @param {number} offset The offset of the text in its file.
+ * @param {Function} error Called with the offset and text of a malformed
+ * statement.
+ * @returns {Array} The statements, each with name, value and the offset
+ * of the value in the file.
+ */
+var splitMaBoSSStatements = function (text, offset, error) {
+    var statements = [], re = /([^;]*);/g, match, statement, rest, end = 0;
+    while ((match = re.exec(text)) !== null) {
+        end = re.lastIndex;
+        if (match[1].trim().length === 0)
+            continue;
+        statement = /^(\s*)([^=\s][^=]*?)\s*=\s*/.exec(match[1]);
+        if (statement === null) {
+            error(offset + match.index + match[1].length - match[1].replace(/^\s+/, '').length, match[1].trim());
+            continue;
+        }
+        statements.push({
+            name: statement[2],
+            value: match[1].substring(statement[0].length).trim(),
+            offset: offset + match.index + statement[0].length
+        });
+    }
+    rest = text.substring(end);
+    if (rest.trim().length > 0)
+        error(offset + end + rest.length - rest.replace(/^\s+/, '').length, rest.trim());
+    return statements;
+};
+
+/*
+ * Parse the initial state of a .cfg file, e.g. "1" or "0.3 [1], 0.7 [0]"
+ * for a single node or "0.5 [0, 1], 0.5 [1, 0]" for several nodes.
+ * @param {string} value The right hand side of the istate statement.
+ * @param {number} count The number of nodes.
+ * @returns {Array} For each node true, false or null for a random state;
+ * null if the value is malformed.
+ */
+var parseMaBoSSInitialState = function (value, count) {
+    var re = /([0-9.eE+-]+)\s*\[([^\]]*)\]/g, match, states, i, certain = null, found = false;
+    if (count === 1 && /^[01]$/.test(value))
+        return [value === '1'];
+    while ((match = re.exec(value)) !== null) {
+        found = true;
+        states = match[2].split(',').map(function (s) {
+            return s.trim();
+        });
+        if (states.length !== count)
+            return null;
+        if (parseFloat(match[1]) === 1)
+            certain = states;
+    }
+    if (!found)
+        return null;
+    states = [];
+    for (i = 0; i < count; i++)
+        states.push(certain === null ? null : certain[i] === '1');
+    return states;
+};
+
+/*
+ * Parse a MaBoSS model.
+ * @param {string} bnd The contents of the .bnd file.
+ * @param {string} cfg The contents of the .cfg file, may be empty.
+ * @returns {Object} The rules by target node, the initial values, the
+ * metadata (the nodes' other attributes by node id, the variables and the
+ * settings of the .cfg file) and the diagnostics (see createDiagnostic).
+ * Diagnostics concerning the .cfg file say so in their message.
+ */
+parseMaBoSS = function (bnd, cfg) {
+    var result = {
+        rules: {},
+        initialValues: {},
+        metadata: {
+            nodes: {},
+            maboss: { variables: {}, settings: {} }
+        },
+        diagnostics: []
+    };
+    var positions = {};
+    var text = blankMaBoSSComments(bnd);
+    var diagnostic = function (severity, data, offset, token, message, hint) {
+        var position = mabossPosition(data, offset);
+        result.diagnostics.push(createDiagnostic(severity, position.line, position.column, token, message, hint));
+    };
+    var malformed = function (offset, token) {
+        diagnostic('error', text, offset, token, "Expected 'name = value;'", "End every attribute with ';'");
+    };
+
+    // Node blocks
+    var blockRe = /\b[Nn]ode\s+([A-Za-z0-9_]+)\s*\{([^}]*)\}/g, match, gap, end = 0;
+    var id, attributes, logic;
+    var checkGap = function (from, to) {
+        gap = text.substring(from, to);
+        if (gap.trim().length > 0)
+            diagnostic('error', text, from + gap.length - gap.replace(/^\s+/, '').length, gap.trim().split(/\s/)[0],
+                       'Unexpected text outside of a node block', "Declare nodes as 'Node name { logic = ...; }'");
+    };
+    while ((match = blockRe.exec(text)) !== null) {
+        id = match[1];
+        attributes = {};
+        logic = null;
+        checkGap(end, match.index);
+        end = blockRe.lastIndex;
+        if (result.metadata.nodes.hasOwnProperty(id))
+            diagnostic('warning', text, match.index, id, 'Node ' + id + ' is declared twice, the last declaration is used',
+                       'Remove one of the declarations');
+
+        splitMaBoSSStatements(match[2], match.index + match[0].indexOf('{') + 1, malformed).forEach(function (statement) {
+            var ast, xor;
+            if (statement.name.toLowerCase() !== 'logic') {
+                attributes[statement.name] = statement.value;
+                return;
+            }
+            xor = /\bXOR\b|\^/.exec(statement.value);
+            if (xor !== null) {
+                diagnostic('error', text, statement.offset + xor.index, xor[0], 'XOR is not supported',
+                           'Rewrite A XOR B as (A AND NOT B) OR (NOT A AND B)');
+                return;
+            }
+            try {
+                ast = parseRule(statement.value, { numericConstants: true });
+            } catch (e) {
+                if (!(e instanceof RuleSyntaxError))
+                    throw e;
+                diagnostic('error', text, statement.offset + e.column - 1, e.token, e.message, e.hint);
+                return;
+            }
+            logic = formatRule(ast, 'js');
+            positions[id] = mabossPosition(text, statement.offset);
+            positions[id].ast = ast;
+        });
+
+        // Nodes without logic keep their state, constant logic sets it
+        result.rules[id] = (logic === null || logic === 'true' || logic === 'false') ? id : logic;
+        if (logic === 'true' || logic === 'false')
+            result.initialValues[id] = logic === 'true';
+        result.metadata.nodes[id] = attributes;
+    }
+    checkGap(end, text.length);
+    if (Object.keys(result.rules).length === 0 && !hasDiagnosticErrors(result.diagnostics)) {
+        result.diagnostics.push(createDiagnostic('error', null, null, '', 'The file declares no nodes',
+            "Declare nodes as 'Node name { logic = ...; }'"));
+        return result;
+    }
+
+    // Configuration
+    text = blankMaBoSSComments(cfg || '');
+    malformed = function (offset, token) {
+        diagnostic('error', text, offset, token, "In the .cfg file: Expected 'name = value;'", "End every setting with ';'");
+    };
+    splitMaBoSSStatements(text, 0, malformed).forEach(function (statement) {
+        var ids, states, i;
+        var istate = /^\[([^\]]*)\]\.istate$/.exec(statement.name) || /^([A-Za-z0-9_]+)\.istate$/.exec(statement.name);
+        if (statement.name[0] === '$') {
+            result.metadata.maboss.variables[statement.name] = statement.value;
+        } else if (istate !== null) {
+            ids = istate[1].split(',').map(function (id) {
+                return id.trim();
+            });
+            states = parseMaBoSSInitialState(statement.value, ids.length);
+            if (states === null) {
+                diagnostic('error', text, statement.offset, statement.value,
+                           'In the .cfg file: Malformed initial state', "Write e.g. '1', '0.3 [1], 0.7 [0]' or '0.5 [0, 1], 0.5 [1, 0]'");
+                return;
+            }
+            for (i = 0; i < ids.length; i++) {
+                if (!result.rules.hasOwnProperty(ids[i]))
+                    diagnostic('warning', text, statement.offset, ids[i], 'In the .cfg file: Unknown node ' + ids[i],
+                               'Remove the initial state or declare the node in the .bnd file');
+                else
+                    result.initialValues[ids[i]] = states[i];
+            }
+            if (ids.length > 1 && states[0] === null)
+                diagnostic('warning', text, statement.offset, istate[1],
+                           'In the .cfg file: The joint initial state of ' + ids.join(', ') + ' is replaced by random states',
+                           'Give the nodes separate initial states');
+        } else {
+            result.metadata.maboss.settings[statement.name] = statement.value;
+        }
+    });
+
+    if (!hasDiagnosticErrors(result.diagnostics))
+        checkUndefinedRegulators(result.diagnostics, result.rules, positions);
+    return result;
+};
+
+/*
+ * Export the network to a MaBoSS model. Rates and other node attributes
+ * of an imported model are kept; nodes without rates get the usual
+ * "@logic ? $u_A : 0" and "@logic ? 0 : $d_A" with both variables set to 1.
+ * @param {Object} network The network with rules, state, initialState and
+ * metadata.
+ * @returns {Object} The contents of the .bnd and .cfg files and the
+ * diagnostics (see createDiagnostic), an error for every rule that cannot
+ * be parsed.
+ */
+exportMaBoSS = function (network) {
+    var ids = Object.keys(network.state);
+    var metadata = network.metadata || {};
+    var nodes = metadata.nodes || {};
+    var maboss = metadata.maboss || { variables: {}, settings: {} };
+    var variables = {}, settings = {};
+    var initialState = network.initialState || {};
+    var bnd = '', cfg = '', diagnostics = [];
+    var i, id, name, attributes, logic;
+
+    for (name in maboss.variables)
+        variables[name] = maboss.variables[name];
+    for (name in mabossDefaultSettings)
+        settings[name] = mabossDefaultSettings[name];
+    for (name in maboss.settings)
+        settings[name] = maboss.settings[name];
+
+    for (id in network.rules) {
+        if (ids.indexOf(id) < 0)
+            ids.push(id);
+    }
+
+    for (i = 0; i < ids.length; i++) {
+        id = ids[i];
+        attributes = {};
+        for (name in nodes[id] || {})
+            attributes[name] = nodes[id][name];
+        try {
+            logic = formatRule(parseRule(network.rules.hasOwnProperty(id) ? network.rules[id] : id, { dialect: 'js' }), 'maboss');
+        } catch (e) {
+            diagnostics.push(ruleExportError(id, e));
+            logic = id;
+        }
+        if (!attributes.hasOwnProperty('rate_up')) {
+            attributes.rate_up = '@logic ? $u_' + id + ' : 0';
+            if (!variables.hasOwnProperty('$u_' + id))
+                variables['$u_' + id] = '1';
+        }
+        if (!attributes.hasOwnProperty('rate_down')) {
+            attributes.rate_down = '@logic ? 0 : $d_' + id;
+            if (!variables.hasOwnProperty('$d_' + id))
+                variables['$d_' + id] = '1';
+        }
+        bnd += 'Node ' + id + ' {\n  logic = ' + logic + ';\n';
+        for (name in attributes)
+            bnd += '  ' + name + ' = ' + attributes[name] + ';\n';
+        bnd += '}\n\n';
+    }
+
+    for (name in variables)
+        cfg += name + ' = ' + variables[name] + ';\n';
+    cfg += '\n';
+    for (i = 0; i < ids.length; i++) {
+        id = ids[i];
+        cfg += '[' + id + '].istate = ' + ((initialState.hasOwnProperty(id) ? initialState[id] : network.state[id]) ? 1 : 0) + ';\n';
+    }
+    cfg += '\n';
+    for (name in settings)
+        cfg += name + ' = ' + settings[name] + ';\n';
+
+    return { bnd: bnd, cfg: cfg, diagnostics: diagnostics };
+};
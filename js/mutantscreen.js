@@ -0,0 +1,187 @@
+/*
+ * Screening of knockout and overexpression mutants. Every mutant clamps
+ * one or two nodes (see SimulationEngine.setClamp); the attractors it
+ * reaches from a set of initial states are searched with the bit-parallel
+ * simulator (see js/bitparallel.js) and compared with those of the wild
+ * type, i.e. the network as it is, by the states of the output nodes.
+ * Nothing in here depends on the DOM, so that it can run in a Web Worker
+ * (see js/screenworker.js).
+ */
+
+/*
+ * List the mutants of a screen.
+ * @param {Array} candidates The ids of the nodes to mutate.
+ * @param {Array} values The clamp values to try: false (knockout) and/or
+ * true (overexpression).
+ * @param {Boolean} pairs Whether to mutate pairs of nodes as well.
+ * @returns {Array} The mutants, each a map of node ids to clamp values.
+ */
+listMutants = function (candidates, values, pairs) {
+    var mutants = [], i, j, a, b, mutant;
+    for (i = 0; i < candidates.length; i++) {
+        for (a = 0; a < values.length; a++) {
+            mutant = {};
+            mutant[candidates[i]] = values[a];
+            mutants.push(mutant);
+        }
+    }
+    if (!pairs)
+        return mutants;
+    for (i = 0; i < candidates.length; i++) {
+        for (j = i + 1; j < candidates.length; j++) {
+            for (a = 0; a < values.length; a++) {
+                for (b = 0; b < values.length; b++) {
+                    mutant = {};
+                    mutant[candidates[i]] = values[a];
+                    mutant[candidates[j]] = values[b];
+                    mutants.push(mutant);
+                }
+            }
+        }
+    }
+    return mutants;
+};
+
+/*
+ * @param {Object} mutant A map of node ids to clamp values.
+ * @returns {string} E.g. "Rb KO + Myc OE".
+ */
+formatMutant = function (mutant) {
+    return Object.keys(mutant).map(function (id) {
+        return id + (mutant[id] ? ' OE' : ' KO');
+    }).join(' + ');
+};
+
+/**
+ * Screen of mutants of a network. Call runBatch until done returns true,
+ * then read result.
+ * @param {Object} model The wild type, see BitParallelSimulator.
+ * @param {Object} options mutants (see listMutants), outputs (the ids of
+ * the nodes defining the phenotype) and the options of the attractor
+ * search for every mutant (see AttractorSearch). Give the same
+ * initialStates or seed to all mutants, so that they start alike.
+ * @constructor
+ */
+var MutantScreen = function (model, options) {
+    this.model = model;
+    this.mutants = [{}].concat(options.mutants);
+    this.outputs = options.outputs;
+    this.searchOptions = {
+        starts: options.starts,
+        maxSteps: options.maxSteps,
+        seed: options.seed,
+        initialStates: options.initialStates
+    };
+    this.phenotypes = [];
+    this.search = null;
+};
+
+/**
+ * @returns {Boolean} Whether all mutants have been screened.
+ */
+MutantScreen.prototype.done = function () {
+    return this.phenotypes.length >= this.mutants.length;
+};
+
+/**
+ * @returns {number} The fraction of mutants screened so far.
+ */
+MutantScreen.prototype.progress = function () {
+    var current = this.search === null ? 0 : this.search.progress();
+    return Math.min(1, (this.phenotypes.length + current) / this.mutants.length);
+};
+
+/**
+ * Simulate the next 32 starts of the current mutant.
+ */
+MutantScreen.prototype.runBatch = function () {
+    var mutant = this.mutants[this.phenotypes.length], clamp = {}, model = {}, key;
+    if (this.search === null) {
+        for (key in this.model)
+            model[key] = this.model[key];
+        for (key in this.model.clamp || {})
+            clamp[key] = this.model.clamp[key];
+        for (key in mutant)
+            clamp[key] = mutant[key];
+        model.clamp = clamp;
+        this.search = new AttractorSearch(model, this.searchOptions);
+    }
+    this.search.runBatch();
+    if (this.search.done()) {
+        this.phenotypes.push(this.phenotype(this.search.result()));
+        this.search = null;
+    }
+};
+
+/**
+ * Describe the attractors found for a mutant by the states of the output
+ * nodes.
+ * @param {Object} result The result of the attractor search.
+ * @returns {Object} The output patterns of the attractors, one character
+ * per output (1, 0 or ~ if it oscillates), sorted and without duplicates;
+ * for each output the fraction of the starts ending with it active (an
+ * oscillating output counts by the fraction of the attractor's states it
+ * is active in); the number of attractors and of starts that reached none.
+ */
+MutantScreen.prototype.phenotype = function (result) {
+    var indices = this.outputs.map(function (id) {
+        return result.nodes.indexOf(id);
+    });
+    var activity = this.outputs.map(function () {
+        return 0;
+    });
+    var patterns = [], determined = result.starts - result.undetermined;
+    var i, j, k, a, on, pattern;
+
+    for (i = 0; i < result.attractors.length; i++) {
+        a = result.attractors[i];
+        pattern = '';
+        for (j = 0; j < indices.length; j++) {
+            on = 0;
+            for (k = 0; k < a.states.length; k++) {
+                if (a.states[k][indices[j]] === '1')
+                    on++;
+            }
+            pattern += on === 0 ? '0' : (on === a.states.length ? '1' : '~');
+            activity[j] += a.basin * on / a.states.length;
+        }
+        if (patterns.indexOf(pattern) < 0)
+            patterns.push(pattern);
+    }
+    return {
+        patterns: patterns.sort(),
+        activity: activity.map(function (x) {
+            return determined > 0 ? x / determined : 0;
+        }),
+        attractors: result.attractors.length,
+        undetermined: result.undetermined
+    };
+};
+
+/**
+ * @returns {Object} The outputs, the wild type's phenotype (see phenotype)
+ * and the mutants, each with the mutant (see listMutants), its label (see
+ * formatMutant), phenotype, the change of the outputs' activity relative
+ * to the wild type and whether the output patterns differ from the wild
+ * type's.
+ */
+MutantScreen.prototype.result = function () {
+    var wildType = this.phenotypes[0], mutants = [], i, p;
+    for (i = 1; i < this.phenotypes.length; i++) {
+        p = this.phenotypes[i];
+        mutants.push({
+            mutant: this.mutants[i],
+            label: formatMutant(this.mutants[i]),
+            phenotype: p,
+            delta: p.activity.map(function (x, j) {
+                return x - wildType.activity[j];
+            }),
+            changed: p.patterns.join(' ') !== wildType.patterns.join(' ')
+        });
+    }
+    return {
+        outputs: this.outputs,
+        wildType: wildType,
+        mutants: mutants
+    };
+};
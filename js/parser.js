@@ -0,0 +1,454 @@
+/*
+ * Tokenizer, parser, evaluator and formatter for Boolean update rules.
+ *
+ * A rule is parsed into an abstract syntax tree (AST) made of the nodes
+ *   {type: 'or', args: [...]}, {type: 'and', args: [...]},
+ *   {type: 'not', arg: ...}, {type: 'id', name: 'A'} and
+ *   {type: 'const', value: true}.
+ * The AST is shared by the simulator, the spell checker, the importers and
+ * the exporters. Nothing in here depends on the DOM.
+ */
+
+/*
+ * Spelling of the logical operators and constants of the supported rule
+ * dialects. Parsing without a dialect accepts all of them.
+ */
+var ruleDialects = {
+    js: { and: '&&', or: '||', not: '!', 'true': 'true', 'false': 'false' },
+    python: { and: 'and', or: 'or', not: 'not', 'true': 'True', 'false': 'False' },
+    r: { and: '&', or: '|', not: '!', 'true': 'TRUE', 'false': 'FALSE' },
+    bnet: { and: '&', or: '|', not: '!', 'true': '1', 'false': '0' },
+    maboss: { and: 'AND', or: 'OR', not: 'NOT', 'true': '1', 'false': '0' }
+};
+
+/*
+ * The error thrown for syntax errors in rules.
+ * @param {string} message Description of the problem.
+ * @param {number} column The 1-based column within the rule.
+ * @param {string} token The offending token, empty at the end of the rule.
+ * @param {string} hint A suggestion how to fix the problem.
+ * @constructor
+ */
+RuleSyntaxError = function (message, column, token, hint) {
+    this.name = 'RuleSyntaxError';
+    this.message = message;
+    this.column = column;
+    this.token = token;
+    this.hint = hint || '';
+};
+RuleSyntaxError.prototype = new Error();
+RuleSyntaxError.prototype.constructor = RuleSyntaxError;
+
+RuleSyntaxError.prototype.toString = function () {
+    return 'Column ' + this.column + ': ' + this.message;
+};
+
+/*
+ * Split a rule into tokens.
+ * @param {string} text The rule.
+ * @param {Object} options numericConstants: treat 0 and 1 as constants.
+ * @returns {Array} The tokens, each with type, text and 1-based column.
+ * The last token is of type end.
+ */
+tokenizeRule = function (text, options) {
+    var tokens = [], i = 0, match, word, type, value;
+    var numericConstants = options && options.numericConstants;
+    var symbols = [
+        ['&&', 'and'], ['||', 'or'], ['&', 'and'], ['|', 'or'],
+        ['!', 'not'], ['(', 'lparen'], [')', 'rparen']
+    ];
+    var keywords = {
+        and: 'and', AND: 'and',
+        or: 'or', OR: 'or',
+        not: 'not', NOT: 'not'
+    };
+    var constants = {
+        'true': true, 'True': true, 'TRUE': true,
+        'false': false, 'False': false, 'FALSE': false
+    };
+    var s, found;
+
+    while (i < text.length) {
+        // Skip white space
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+
+        found = false;
+        for (s = 0; s < symbols.length; s++) {
+            if (text.substr(i, symbols[s][0].length) === symbols[s][0]) {
+                tokens.push({ type: symbols[s][1], text: symbols[s][0], column: i + 1 });
+                i += symbols[s][0].length;
+                found = true;
+                break;
+            }
+        }
+        if (found)
+            continue;
+
+        match = /^[A-Za-z0-9_]+/.exec(text.substr(i));
+        if (match === null)
+            throw new RuleSyntaxError("Illegal character '" + text[i] + "'", i + 1, text[i],
+                'Node names may only contain letters, digits and underscores');
+
+        word = match[0];
+        value = undefined;
+        if (keywords.hasOwnProperty(word))
+            type = keywords[word];
+        else if (constants.hasOwnProperty(word)) {
+            type = 'const';
+            value = constants[word];
+        } else if (numericConstants && (word === '0' || word === '1')) {
+            type = 'const';
+            value = word === '1';
+        } else
+            type = 'id';
+        tokens.push({ type: type, text: word, value: value, column: i + 1 });
+        i += word.length;
+    }
+    tokens.push({ type: 'end', text: '', column: text.length + 1 });
+    return tokens;
+};
+
+/*
+ * Parse a rule into an AST. Operator precedence is NOT over AND over OR.
+ * @param {string} text The rule.
+ * @param {Object} options dialect: only accept the operators of the
+ * given dialect (js, python, r, bnet or maboss); numericConstants: treat 0 and 1 as
+ * constants.
+ * @returns {Object} The AST.
+ * @throws {RuleSyntaxError} If the rule is malformed.
+ */
+parseRule = function (text, options) {
+    var tokens = tokenizeRule(text, options);
+    var dialect = options && options.dialect ? ruleDialects[options.dialect] : null;
+    var pos = 0;
+
+    var describe = function (token) {
+        return token.type === 'end' ? 'end of rule' : "'" + token.text + "'";
+    };
+
+    var fail = function (message, token, hint) {
+        throw new RuleSyntaxError(message, token.column, token.text, hint);
+    };
+
+    // Reject operators and constants of other dialects
+    var checkDialect = function (token) {
+        if (dialect === null)
+            return;
+        if (token.type === 'and' || token.type === 'or' || token.type === 'not') {
+            if (token.text !== dialect[token.type])
+                fail("Unexpected operator '" + token.text + "', please use '" + dialect[token.type] + "'", token,
+                     "Replace '" + token.text + "' with '" + dialect[token.type] + "'");
+        } else if (token.type === 'const' && (token.text === 'true' || token.text === 'false' ||
+                                              token.text === 'True' || token.text === 'False' ||
+                                              token.text === 'TRUE' || token.text === 'FALSE')) {
+            if (token.text !== dialect[String(token.value)])
+                fail("Unexpected constant '" + token.text + "', please use '" + dialect[String(token.value)] + "'", token,
+                     "Replace '" + token.text + "' with '" + dialect[String(token.value)] + "'");
+        }
+    };
+
+    var peek = function () {
+        return tokens[pos];
+    };
+
+    var next = function () {
+        checkDialect(tokens[pos]);
+        return tokens[pos++];
+    };
+
+    var parseOr, parseAnd, parseFactor;
+
+    parseOr = function () {
+        var args = [parseAnd()];
+        while (peek().type === 'or') {
+            next();
+            args.push(parseAnd());
+        }
+        return args.length === 1 ? args[0] : { type: 'or', args: args };
+    };
+
+    parseAnd = function () {
+        var args = [parseFactor()];
+        while (peek().type === 'and') {
+            next();
+            args.push(parseFactor());
+        }
+        return args.length === 1 ? args[0] : { type: 'and', args: args };
+    };
+
+    parseFactor = function () {
+        var token = next(), node;
+        switch (token.type) {
+        case 'not':
+            return { type: 'not', arg: parseFactor() };
+        case 'lparen':
+            node = parseOr();
+            if (peek().type !== 'rparen') {
+                if (peek().type === 'end')
+                    fail("Missing closing bracket for '(' in column " + token.column, peek(),
+                         "Add ')' where the bracketed expression ends");
+                fail('Expected a logical operator or \')\', but found ' + describe(peek()), peek(),
+                     "Insert a logical operator or ')' before " + describe(peek()));
+            }
+            next();
+            return node;
+        case 'id':
+            return { type: 'id', name: token.text, column: token.column };
+        case 'const':
+            return { type: 'const', value: token.value };
+        case 'end':
+            fail('Unexpected end of rule, expected a node, a constant or \'(\'', token,
+                 'Complete the rule or remove the trailing operator');
+            break;
+        default:
+            fail('Expected a node, a constant or \'(\', but found ' + describe(token), token,
+                 'Insert a node name before ' + describe(token) + ' or remove it');
+        }
+    };
+
+    var ast = parseOr();
+    if (peek().type !== 'end') {
+        if (peek().type === 'rparen')
+            fail("Unexpected ')' without matching '('", peek(),
+                 "Remove the ')' or add the matching '('");
+        fail('Missing logical operator before ' + describe(peek()), peek(),
+             'Insert a logical operator (AND, OR) before ' + describe(peek()));
+    }
+    return ast;
+};
+
+/*
+ * Evaluate a rule without compiling it.
+ * @param {Object} ast The rule's AST.
+ * @param {Object} state The network state.
+ * @returns {Boolean} The value of the rule.
+ */
+evaluateRule = function (ast, state) {
+    var i;
+    switch (ast.type) {
+    case 'or':
+        for (i = 0; i < ast.args.length; i++)
+            if (evaluateRule(ast.args[i], state)) return true;
+        return false;
+    case 'and':
+        for (i = 0; i < ast.args.length; i++)
+            if (!evaluateRule(ast.args[i], state)) return false;
+        return true;
+    case 'not':
+        return !evaluateRule(ast.arg, state);
+    case 'id':
+        return state[ast.name] === true;
+    default:
+        return ast.value;
+    }
+};
+
+/*
+ * Compile a rule into a function made of closures; no eval is involved.
+ * @param {Object} ast The rule's AST.
+ * @returns {Function} A function taking the network state and returning
+ * the value of the rule.
+ */
+compileRule = function (ast) {
+    var args, arg, name, value;
+    switch (ast.type) {
+    case 'or':
+        args = ast.args.map(compileRule);
+        return function (state) {
+            for (var i = 0; i < args.length; i++)
+                if (args[i](state)) return true;
+            return false;
+        };
+    case 'and':
+        args = ast.args.map(compileRule);
+        return function (state) {
+            for (var i = 0; i < args.length; i++)
+                if (!args[i](state)) return false;
+            return true;
+        };
+    case 'not':
+        arg = compileRule(ast.arg);
+        return function (state) {
+            return !arg(state);
+        };
+    case 'id':
+        name = ast.name;
+        return function (state) {
+            return state[name] === true;
+        };
+    default:
+        value = ast.value;
+        return function () {
+            return value;
+        };
+    }
+};
+
+/*
+ * Compile a rule into a function evaluating it for 32 states at once.
+ * Every node's states are packed into one 32 bit integer, bit k holding
+ * the node's state in the k-th state, and the logical operators become
+ * bitwise operators.
+ * @param {Object} ast The rule's AST.
+ * @param {Object} indices The index of each node in the array of words.
+ * @returns {Function} A function taking the array of words and returning
+ * the word of the rule's values.
+ */
+compileBitwiseRule = function (ast, indices) {
+    var args, arg, index, value;
+    var compile = function (node) {
+        return compileBitwiseRule(node, indices);
+    };
+    switch (ast.type) {
+    case 'or':
+        args = ast.args.map(compile);
+        return function (words) {
+            var result = 0;
+            for (var i = 0; i < args.length; i++)
+                result |= args[i](words);
+            return result;
+        };
+    case 'and':
+        args = ast.args.map(compile);
+        return function (words) {
+            var result = -1;
+            for (var i = 0; i < args.length; i++)
+                result &= args[i](words);
+            return result;
+        };
+    case 'not':
+        arg = compile(ast.arg);
+        return function (words) {
+            return ~arg(words);
+        };
+    case 'id':
+        index = indices[ast.name];
+        return function (words) {
+            return words[index];
+        };
+    default:
+        value = ast.value ? -1 : 0;
+        return function () {
+            return value;
+        };
+    }
+};
+
+/*
+ * Write a rule in the syntax of a dialect, using as few brackets as
+ * possible.
+ * @param {Object} ast The rule's AST.
+ * @param {string|Object} dialect The name of a dialect in ruleDialects or an
+ * object with the spelling of and, or, not, true and false.
+ * @returns {string} The rule.
+ */
+formatRule = function (ast, dialect) {
+    var d = typeof (dialect) === 'string' ? ruleDialects[dialect] : dialect;
+    var notSeparator = /[A-Za-z]$/.test(d.not) ? ' ' : '';
+
+    var format = function (node, parent) {
+        var text;
+        switch (node.type) {
+        case 'or':
+        case 'and':
+            text = node.args.map(function (arg) {
+                return format(arg, node.type);
+            }).join(' ' + d[node.type] + ' ');
+            // AND binds stronger than OR, NOT binds strongest
+            if (parent === 'not' || (parent === 'and' && node.type === 'or'))
+                text = '(' + text + ')';
+            return text;
+        case 'not':
+            return d.not + notSeparator + format(node.arg, 'not');
+        case 'id':
+            return node.name;
+        default:
+            return d[String(node.value)];
+        }
+    };
+    return format(ast, null);
+};
+
+/*
+ * Get the ids of all nodes occurring in a rule.
+ * @param {Object} ast The rule's AST.
+ * @returns {Array} The node ids in order of first appearance.
+ */
+ruleNodeIDs = function (ast) {
+    var ids = [];
+    var collect = function (node) {
+        var i;
+        if (node.type === 'id') {
+            if (ids.indexOf(node.name) < 0)
+                ids.push(node.name);
+        } else if (node.type === 'not') {
+            collect(node.arg);
+        } else if (node.args) {
+            for (i = 0; i < node.args.length; i++)
+                collect(node.args[i]);
+        }
+    };
+    collect(ast);
+    return ids;
+};
+
+/*
+ * Determine how the nodes occurring in a rule regulate its target: nodes
+ * occurring only under an even number of negations are activators, only
+ * under an odd number inhibitors, others have a dual role.
+ * @param {Object} ast The rule's AST.
+ * @returns {Object} A map of node ids to positive, negative or dual.
+ */
+ruleRegulatorSigns = function (ast) {
+    var signs = {};
+    var collect = function (node, negated) {
+        var i, sign;
+        if (node.type === 'id') {
+            sign = negated ? 'negative' : 'positive';
+            if (!signs.hasOwnProperty(node.name))
+                signs[node.name] = sign;
+            else if (signs[node.name] !== sign)
+                signs[node.name] = 'dual';
+        } else if (node.type === 'not') {
+            collect(node.arg, !negated);
+        } else if (node.args) {
+            for (i = 0; i < node.args.length; i++)
+                collect(node.args[i], negated);
+        }
+    };
+    collect(ast, false);
+    return signs;
+};
+
+/*
+ * Remove all occurrences of a node from a rule, e.g. after deleting the
+ * node. Operands of AND and OR referring to the node are dropped.
+ * @param {Object} ast The rule's AST.
+ * @param {string} id The node id.
+ * @returns {Object} The new AST or null if nothing remains of the rule.
+ */
+removeRuleNode = function (ast, id) {
+    var args, arg;
+    switch (ast.type) {
+    case 'id':
+        return ast.name === id ? null : ast;
+    case 'not':
+        arg = removeRuleNode(ast.arg, id);
+        return arg === null ? null : { type: 'not', arg: arg };
+    case 'and':
+    case 'or':
+        args = ast.args.map(function (a) {
+            return removeRuleNode(a, id);
+        }).filter(function (a) {
+            return a !== null;
+        });
+        if (args.length === 0)
+            return null;
+        return args.length === 1 ? args[0] : { type: ast.type, args: args };
+    default:
+        return ast;
+    }
+};
@@ -0,0 +1,507 @@
+/*
+ * Import and export of SBML Level 3 files using the qual (qualitative
+ * models) package, as written e.g. by GINsim, the Cell Collective and
+ * BioModels. Qualitative species become nodes, the function terms of their
+ * transitions become update rules and the initial levels the initial
+ * states. Positions are taken from the layout package, if present.
+ */
+
+/*
+ * Get an attribute regardless of its namespace prefix, e.g. qual:id or id.
+ * @param {Element} element The XML element.
+ * @param {string} name The local name of the attribute.
+ * @returns {string} The value or null if the attribute is missing.
+ */
+var getAttributeByLocalName = function (element, name) {
+    var i;
+    for (i = 0; i < element.attributes.length; i++) {
+        if (element.attributes[i].localName === name)
+            return element.attributes[i].value;
+    }
+    return null;
+};
+
+/*
+ * Get the descendants of an element regardless of their namespace.
+ * @param {Element} element The XML element.
+ * @param {string} name The local name of the descendants.
+ * @returns {Array} The elements.
+ */
+var getElementsByLocalName = function (element, name) {
+    return Array.prototype.slice.call(element.getElementsByTagNameNS('*', name));
+};
+
+/*
+ * @param {Element} element The XML element.
+ * @returns {Array} The child elements.
+ */
+var getChildElements = function (element) {
+    var children = [], node;
+    for (node = element.firstChild; node !== null; node = node.nextSibling) {
+        if (node.nodeType === 1)
+            children.push(node);
+    }
+    return children;
+};
+
+/*
+ * Convert the MathML of a function term into the AST of a Boolean rule.
+ * Comparisons of a species with a threshold are converted for Boolean
+ * species, every level above 0 being true: e.g. A >= 1 and A >= 2 become A,
+ * A == 0 and A < 2 become !A.
+ * @param {Element} element The MathML element.
+ * @param {Object} context species: the qualitative species by id, inputs:
+ * the threshold levels of the transition's inputs by id.
+ * @returns {Object} The AST.
+ * @throws {Error} If the MathML cannot be converted.
+ */
+var mathMLToRule = function (element, context) {
+    var children = getChildElements(element);
+    var name = element.localName, text;
+
+    switch (name) {
+    case 'math':
+    case 'semantics':
+        if (children.length === 0)
+            throw new Error('Empty <' + name + '> element');
+        return mathMLToRule(children[0], context);
+    case 'true':
+        return { type: 'const', value: true };
+    case 'false':
+        return { type: 'const', value: false };
+    case 'cn':
+        return { type: 'const', value: parseFloat(element.textContent) !== 0 };
+    case 'ci':
+        text = element.textContent.trim();
+        if (!context.species.hasOwnProperty(text))
+            throw new Error("Unknown qualitative species '" + text + "'");
+        return { type: 'id', name: text };
+    case 'apply':
+        return applyToRule(children, context);
+    }
+    throw new Error('Unsupported MathML element <' + name + '>');
+};
+
+/*
+ * Get the numeric value of an operand of a comparison.
+ * @returns {number} The value or null, if the operand is a species.
+ */
+var mathMLNumber = function (element, context) {
+    var text = element.textContent.trim();
+    if (element.localName === 'cn')
+        return parseFloat(text);
+    if (element.localName === 'true')
+        return 1;
+    if (element.localName === 'false')
+        return 0;
+    if (element.localName === 'ci' && context.inputs.hasOwnProperty(text))
+        return context.inputs[text];
+    return null;
+};
+
+/*
+ * Convert an <apply> element, see mathMLToRule.
+ * @param {Array} children The child elements, the first is the operator.
+ */
+var applyToRule = function (children, context) {
+    var operator = children[0].localName;
+    var args = children.slice(1);
+    var convert = function (element) {
+        return mathMLToRule(element, context);
+    };
+    var species, threshold, compare, low, high, a, b, result, i, level, maxLevel;
+
+    switch (operator) {
+    case 'and':
+    case 'or':
+        return { type: operator, args: args.map(convert) };
+    case 'not':
+        return { type: 'not', arg: convert(args[0]) };
+    case 'xor':
+        result = convert(args[0]);
+        for (i = 1; i < args.length; i++) {
+            b = convert(args[i]);
+            result = { type: 'or', args: [
+                { type: 'and', args: [result, { type: 'not', arg: b }] },
+                { type: 'and', args: [{ type: 'not', arg: result }, b] }
+            ] };
+        }
+        return result;
+    case 'implies':
+        return { type: 'or', args: [{ type: 'not', arg: convert(args[0]) }, convert(args[1])] };
+    case 'eq':
+    case 'neq':
+    case 'lt':
+    case 'leq':
+    case 'gt':
+    case 'geq':
+        if (args.length !== 2)
+            throw new Error('<' + operator + '> needs two operands');
+        compare = {
+            eq: function (x, y) { return x === y; },
+            neq: function (x, y) { return x !== y; },
+            lt: function (x, y) { return x < y; },
+            leq: function (x, y) { return x <= y; },
+            gt: function (x, y) { return x > y; },
+            geq: function (x, y) { return x >= y; }
+        }[operator];
+        a = mathMLNumber(args[0], context);
+        b = mathMLNumber(args[1], context);
+        if (a === null && b === null) {
+            // Two species: only equality is meaningful for Boolean values
+            a = convert(args[0]);
+            b = convert(args[1]);
+            result = { type: 'or', args: [
+                { type: 'and', args: [a, b] },
+                { type: 'and', args: [{ type: 'not', arg: a }, { type: 'not', arg: b }] }
+            ] };
+            if (operator === 'eq')
+                return result;
+            if (operator === 'neq')
+                return { type: 'not', arg: result };
+            throw new Error('Cannot compare two species with <' + operator + '>');
+        }
+        if (a !== null && b !== null)
+            return { type: 'const', value: compare(a, b) };
+        if (a === null) {
+            species = convert(args[0]);
+            threshold = b;
+        } else {
+            species = convert(args[1]);
+            threshold = a;
+            // Mirror the comparison, so that the species comes first
+            compare = (function (c) {
+                return function (x, y) { return c(y, x); };
+            })(compare);
+        }
+        // The value of the comparison for the species being 0 or active,
+        // i.e. at any level above 0
+        maxLevel = species.type === 'id' ? context.species[species.name].maxLevel : 1;
+        low = compare(0, threshold);
+        high = compare(1, threshold);
+        for (level = 2; level <= maxLevel; level++) {
+            if (compare(level, threshold) === high)
+                continue;
+            // The levels above 0 disagree: X >= k or X > k - 1 means that
+            // X is active, X < k or X <= k - 1 that it is not
+            if (operator === 'eq' || operator === 'neq')
+                throw new Error('Cannot compare the multi-level species ' + formatRule(species, 'js') + ' with <' + operator +
+                                '> to ' + threshold + ' as a Boolean species');
+            high = compare(maxLevel, threshold);
+            break;
+        }
+        if (low === high)
+            return { type: 'const', value: low };
+        return high ? species : { type: 'not', arg: species };
+    }
+    throw new Error('Unsupported MathML operator <' + operator + '>');
+};
+
+/*
+ * Parse an SBML qual file.
+ * @param {string} data The contents of the file.
+ * @returns {Object} The rules by target node, the initial values, the
+ * node positions by id (if the file contains a layout) and the
+ * diagnostics (see createDiagnostic).
+ */
+parseSBMLQual = function (data) {
+    var result = {
+        rules: {},
+        initialValues: {},
+        positions: {},
+        diagnostics: []
+    };
+    var warning = function (token, message, hint) {
+        result.diagnostics.push(createDiagnostic('warning', null, null, token, message, hint));
+    };
+    var error = function (token, message, hint) {
+        result.diagnostics.push(createDiagnostic('error', null, null, token, message, hint));
+    };
+
+    var xml = new DOMParser().parseFromString(data, 'application/xml');
+    var parserError = xml.getElementsByTagName('parsererror');
+    if (parserError.length > 0) {
+        var match = /line (\d+) at column (\d+)/.exec(parserError[0].textContent);
+        result.diagnostics.push(createDiagnostic('error', match ? parseInt(match[1], 10) : null,
+            match ? parseInt(match[2], 10) : null, '', 'Invalid XML: ' + parserError[0].textContent.trim().split('\n')[0],
+            'Check that all tags are closed and attributes quoted'));
+        return result;
+    }
+
+    // Qualitative species
+    var species = {}, id, level, maxLevel;
+    getElementsByLocalName(xml, 'qualitativeSpecies').forEach(function (element) {
+        id = getAttributeByLocalName(element, 'id');
+        maxLevel = parseInt(getAttributeByLocalName(element, 'maxLevel') || '1', 10);
+        species[id] = { maxLevel: maxLevel };
+        if (!/^[A-Za-z0-9_]+$/.test(id)) {
+            error(id, "Bogus species ID '" + id + "'", 'Node names may only contain letters, digits and underscores');
+            return;
+        }
+        if (maxLevel > 1)
+            warning(id, 'Species ' + id + ' has ' + (maxLevel + 1) + ' levels, but is simulated as Boolean: every level above 0 is true',
+                    'Booleanise the model before importing it');
+        level = getAttributeByLocalName(element, 'initialLevel');
+        if (level !== null)
+            result.initialValues[id] = parseInt(level, 10) > 0;
+        // Species without transition keep their state
+        result.rules[id] = id;
+    });
+    if (Object.keys(species).length === 0) {
+        error('', 'The file contains no qualitative species',
+              'Only SBML Level 3 files using the qual package can be imported');
+        return result;
+    }
+
+    // Transitions
+    getElementsByLocalName(xml, 'transition').forEach(function (transition) {
+        var transitionID = getAttributeByLocalName(transition, 'id') || '';
+        var context = { species: species, inputs: {} };
+        var outputs = [], positive = [], negative = [], defaultLevel = 0, rule, i;
+
+        getElementsByLocalName(transition, 'input').forEach(function (input) {
+            var inputID = getAttributeByLocalName(input, 'id');
+            var threshold = getAttributeByLocalName(input, 'thresholdLevel');
+            if (inputID !== null)
+                context.inputs[inputID] = threshold === null ? 1 : parseInt(threshold, 10);
+        });
+        getElementsByLocalName(transition, 'output').forEach(function (output) {
+            outputs.push(getAttributeByLocalName(output, 'qualitativeSpecies'));
+        });
+        getElementsByLocalName(transition, 'defaultTerm').forEach(function (term) {
+            defaultLevel = parseInt(getAttributeByLocalName(term, 'resultLevel') || '0', 10);
+        });
+
+        try {
+            getElementsByLocalName(transition, 'functionTerm').forEach(function (term) {
+                var math = getElementsByLocalName(term, 'math');
+                if (math.length === 0)
+                    throw new Error('A function term has no MathML');
+                if (parseInt(getAttributeByLocalName(term, 'resultLevel') || '0', 10) > 0)
+                    positive.push(mathMLToRule(math[0], context));
+                else
+                    negative.push(mathMLToRule(math[0], context));
+            });
+        } catch (e) {
+            error(transitionID, 'In transition ' + transitionID + ': ' + e.message,
+                  'Only logical operators and comparisons with constants are supported');
+            return;
+        }
+
+        // Function terms are mutually exclusive: the node is on, if a term
+        // with a positive result applies or, by default, if none with result 0 does
+        if (defaultLevel > 0)
+            rule = negative.length === 0 ? { type: 'const', value: true } :
+                { type: 'not', arg: negative.length === 1 ? negative[0] : { type: 'or', args: negative } };
+        else
+            rule = positive.length === 0 ? { type: 'const', value: false } :
+                (positive.length === 1 ? positive[0] : { type: 'or', args: positive });
+        rule = formatRule(rule, 'js');
+
+        for (i = 0; i < outputs.length; i++) {
+            if (!species.hasOwnProperty(outputs[i])) {
+                error(outputs[i], 'Transition ' + transitionID + " has the unknown output '" + outputs[i] + "'",
+                      'Declare the species in the list of qualitative species');
+                continue;
+            }
+            if (result.rules[outputs[i]] !== outputs[i])
+                warning(outputs[i], 'Species ' + outputs[i] + ' is the output of several transitions, the last one is used',
+                        'Combine the transitions into one');
+            // Constant rules keep the node's state, which may be toggled by clicking
+            result.rules[outputs[i]] = (rule === 'true' || rule === 'false') ? outputs[i] : rule;
+            if (rule === 'true' || rule === 'false')
+                result.initialValues[outputs[i]] = rule === 'true';
+        }
+    });
+
+    // Layout
+    var glyphs = getElementsByLocalName(xml, 'generalGlyph').concat(getElementsByLocalName(xml, 'speciesGlyph'));
+    glyphs.forEach(function (glyph) {
+        var reference = getAttributeByLocalName(glyph, 'reference') || getAttributeByLocalName(glyph, 'species');
+        var position = getElementsByLocalName(glyph, 'position');
+        if (reference === null || !species.hasOwnProperty(reference) || position.length === 0)
+            return;
+        result.positions[reference] = {
+            x: parseFloat(getAttributeByLocalName(position[0], 'x')),
+            y: parseFloat(getAttributeByLocalName(position[0], 'y'))
+        };
+    });
+
+    if (!hasDiagnosticErrors(result.diagnostics))
+        checkUndefinedRegulators(result.diagnostics, result.rules);
+    return result;
+};
+
+/**
+ * Import an SBML qual file into the jSBGN object.
+ * @param {string} data The data contained in the SBML file.
+ * @returns {boolean} Whether the import succeeded. Errors and warnings are
+ * stored in the diagnostics property. If all nodes have positions, the
+ * positioned property is set and no layouting is required.
+ */
+jSBGN.prototype.importSBML = function (data) {
+    var parsed = parseSBMLQual(data);
+
+    this.diagnostics = parsed.diagnostics;
+    if (hasDiagnosticErrors(parsed.diagnostics)) {
+        console.error(parsed.diagnostics.map(formatDiagnostic).join('\n'));
+        return false;
+    }
+
+    this.setInitialValues(parsed.initialValues);
+    this.createGraph(parsed.rules);
+    this.priority = {};
+    this.setPositions(parsed.positions);
+
+    return (this.nodes.length > 0);
+};
+
+/*
+ * Convert the AST of a rule into MathML. A node being on is written as
+ * a comparison with level 1, which is understood by all qual readers.
+ * @param {Object} ast The rule's AST.
+ * @param {string} indent The indentation of the element.
+ * @returns {string} The MathML element.
+ */
+var ruleToMathML = function (ast, indent) {
+    var inner = indent + '  ', i, xml;
+    switch (ast.type) {
+    case 'const':
+        return indent + '<' + ast.value + '/>\n';
+    case 'id':
+        return indent + '<apply>\n' + inner + '<eq/>\n' + inner + '<ci> ' + ast.name + ' </ci>\n' +
+            inner + '<cn type="integer"> 1 </cn>\n' + indent + '</apply>\n';
+    case 'not':
+        return indent + '<apply>\n' + inner + '<not/>\n' + ruleToMathML(ast.arg, inner) + indent + '</apply>\n';
+    }
+    xml = indent + '<apply>\n' + inner + '<' + ast.type + '/>\n';
+    for (i = 0; i < ast.args.length; i++)
+        xml += ruleToMathML(ast.args[i], inner);
+    return xml + indent + '</apply>\n';
+};
+
+/*
+ * Export the network to an SBML qual file. Every node becomes a Boolean
+ * qualitative species with its current state as initial level, every rule
+ * a transition whose function term yields level 1. Nodes whose rule is
+ * the node itself keep their state and get no transition. If the graph is
+ * given, the node positions are written using the layout package.
+ * @param {Object} network The network with rules and state.
+ * @param {Object} graph The graph in jSBGN format (optional).
+ * @returns {Object} sbml, the SBML file data, and the diagnostics (see
+ * createDiagnostic), an error for every rule that cannot be parsed.
+ */
+exportSBMLQual = function (network, graph) {
+    var ids = Object.keys(network.state);
+    var xml = [], glyphs = [], diagnostics = [], width = 0, height = 0;
+    var i, id, ast, inputs, signs, data;
+
+    for (id in network.rules) {
+        if (ids.indexOf(id) < 0)
+            ids.push(id);
+    }
+
+    xml.push('<?xml version="1.0" encoding="UTF-8"?>');
+    xml.push('<sbml xmlns="http://www.sbml.org/sbml/level3/version1/core" level="3" version="1"' +
+             ' xmlns:layout="http://www.sbml.org/sbml/level3/version1/layout/version1" layout:required="false"' +
+             ' xmlns:qual="http://www.sbml.org/sbml/level3/version1/qual/version1" qual:required="true">');
+    xml.push('  <model id="BooleSim">');
+
+    // Layout
+    if (graph && graph.nodes) {
+        for (i = 0; i < graph.nodes.length; i++) {
+            data = graph.nodes[i].data || {};
+            if (ids.indexOf(graph.nodes[i].id) < 0 || typeof (data.x) !== 'number' || typeof (data.y) !== 'number')
+                continue;
+            data = {
+                id: graph.nodes[i].id,
+                x: data.x,
+                y: data.y,
+                width: data.width || 60,
+                height: data.height || 30
+            };
+            width = Math.max(width, data.x + data.width);
+            height = Math.max(height, data.y + data.height);
+            glyphs.push(data);
+        }
+    }
+    if (glyphs.length > 0) {
+        xml.push('    <layout:listOfLayouts>');
+        xml.push('      <layout:layout layout:id="layout">');
+        xml.push('        <layout:dimensions layout:width="' + Math.ceil(width) + '" layout:height="' + Math.ceil(height) + '"/>');
+        xml.push('        <layout:listOfAdditionalGraphicalObjects>');
+        for (i = 0; i < glyphs.length; i++) {
+            data = glyphs[i];
+            xml.push('          <layout:generalGlyph layout:id="glyph_' + data.id + '" layout:reference="' + data.id + '">');
+            xml.push('            <layout:boundingBox>');
+            xml.push('              <layout:position layout:x="' + data.x + '" layout:y="' + data.y + '"/>');
+            xml.push('              <layout:dimensions layout:width="' + data.width + '" layout:height="' + data.height + '"/>');
+            xml.push('            </layout:boundingBox>');
+            xml.push('          </layout:generalGlyph>');
+        }
+        xml.push('        </layout:listOfAdditionalGraphicalObjects>');
+        xml.push('      </layout:layout>');
+        xml.push('    </layout:listOfLayouts>');
+    }
+
+    xml.push('    <listOfCompartments>');
+    xml.push('      <compartment id="default" constant="true"/>');
+    xml.push('    </listOfCompartments>');
+
+    // Species
+    xml.push('    <qual:listOfQualitativeSpecies>');
+    for (i = 0; i < ids.length; i++) {
+        xml.push('      <qual:qualitativeSpecies qual:id="' + ids[i] + '" qual:name="' + ids[i] +
+                 '" qual:compartment="default" qual:constant="false" qual:initialLevel="' +
+                 (network.state[ids[i]] ? 1 : 0) + '" qual:maxLevel="1"/>');
+    }
+    xml.push('    </qual:listOfQualitativeSpecies>');
+
+    // Transitions
+    xml.push('    <qual:listOfTransitions>');
+    for (id in network.rules) {
+        try {
+            ast = parseRule(network.rules[id], { dialect: 'js' });
+        } catch (e) {
+            diagnostics.push(ruleExportError(id, e));
+            continue;
+        }
+        if (ast.type === 'id' && ast.name === id)
+            continue;
+        xml.push('      <qual:transition qual:id="tr_' + id + '">');
+        inputs = ruleNodeIDs(ast);
+        signs = ruleRegulatorSigns(ast);
+        if (inputs.length > 0) {
+            xml.push('        <qual:listOfInputs>');
+            for (i = 0; i < inputs.length; i++) {
+                xml.push('          <qual:input qual:id="tr_' + id + '_in_' + inputs[i] + '" qual:qualitativeSpecies="' +
+                         inputs[i] + '" qual:transitionEffect="none" qual:sign="' + signs[inputs[i]] + '"/>');
+            }
+            xml.push('        </qual:listOfInputs>');
+        }
+        xml.push('        <qual:listOfOutputs>');
+        xml.push('          <qual:output qual:id="tr_' + id + '_out" qual:qualitativeSpecies="' + id + '" qual:transitionEffect="assignmentLevel"/>');
+        xml.push('        </qual:listOfOutputs>');
+        xml.push('        <qual:listOfFunctionTerms>');
+        if (ast.type === 'const')
+            xml.push('          <qual:defaultTerm qual:resultLevel="' + (ast.value ? 1 : 0) + '"/>');
+        else {
+            xml.push('          <qual:defaultTerm qual:resultLevel="0"/>');
+            xml.push('          <qual:functionTerm qual:resultLevel="1">');
+            xml.push('            <math xmlns="http://www.w3.org/1998/Math/MathML">');
+            xml.push(ruleToMathML(ast, '              ').replace(/\n$/, ''));
+            xml.push('            </math>');
+            xml.push('          </qual:functionTerm>');
+        }
+        xml.push('        </qual:listOfFunctionTerms>');
+        xml.push('      </qual:transition>');
+    }
+    xml.push('    </qual:listOfTransitions>');
+
+    xml.push('  </model>');
+    xml.push('</sbml>');
+    return {
+        sbml: xml.join('\n') + '\n',
+        diagnostics: diagnostics
+    };
+};
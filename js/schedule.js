@@ -0,0 +1,207 @@
+/*
+ * Perturbation schedules, i.e. stimulus protocols applied in every
+ * simulation run. A schedule is written one perturbation per line, with
+ * the iteration as numbered in the time series, e.g.
+ *   5: EGF = 1
+ *   20: EGF = 0
+ *   10: knockout Rb
+ * A node is set once with "node = value"; knockout and overexpress clamp
+ * it to false or true from then on (see SimulationEngine.setClamp), until
+ * it is released with "release node". The schedule is stored in the
+ * network's schedule property as a list of perturbations {iteration, node,
+ * action, value}.
+ */
+
+/*
+ * The actions taking a node, and the value they clamp the node to.
+ */
+var scheduleActions = {
+    knockout: false,
+    overexpress: true,
+    release: null
+};
+
+/*
+ * Parse a perturbation schedule.
+ * @param {string} text The schedule, one perturbation per line. Lines
+ * starting with # are comments.
+ * @param {Array} nodeIds The ids of the network's nodes.
+ * @returns {Object} The perturbations, sorted by iteration, and the
+ * diagnostics (see createDiagnostic).
+ */
+parseSchedule = function (text, nodeIds) {
+    var result = { perturbations: [], diagnostics: [] };
+    var lines = text.split('\n'), i, line, match, perturbation, node, action, value, column;
+    var values = { '1': true, 'true': true, 'True': true, '0': false, 'false': false, 'False': false };
+    var error = function (column, token, message, hint) {
+        result.diagnostics.push(createDiagnostic('error', i + 1, column, token, message, hint));
+    };
+
+    for (i = 0; i < lines.length; i++) {
+        line = lines[i].replace(/#.*$/, '');
+        if (line.trim().length === 0)
+            continue;
+        match = /^(\s*)([^:]*?)\s*:\s*(.*?)\s*$/.exec(line);
+        if (match === null || !/^[1-9][0-9]*$/.test(match[2])) {
+            error(line.length - line.replace(/^\s+/, '').length + 1, match === null ? line.trim() : match[2],
+                  'Expected an iteration', "Start the line with the iteration, e.g. '5: EGF = 1'");
+            continue;
+        }
+        perturbation = match[3];
+        column = line.indexOf(perturbation, line.indexOf(':') + 1) + 1;
+
+        if ((match = /^([A-Za-z0-9_]+)\s*=\s*(\S+)$/.exec(perturbation)) !== null) {
+            node = match[1];
+            action = 'set';
+            if (!values.hasOwnProperty(match[2])) {
+                error(column + perturbation.lastIndexOf(match[2]), match[2], 'Expected 0 or 1',
+                      'Set nodes to 1 (true) or 0 (false)');
+                continue;
+            }
+            value = values[match[2]];
+        } else if ((match = /^([a-z]+)\s+([A-Za-z0-9_]+)$/.exec(perturbation)) !== null &&
+                   scheduleActions.hasOwnProperty(match[1])) {
+            node = match[2];
+            action = match[1];
+            value = scheduleActions[action];
+        } else {
+            error(column, perturbation, 'Unknown perturbation',
+                  "Write 'node = 1', 'node = 0', 'knockout node', 'overexpress node' or 'release node'");
+            continue;
+        }
+
+        if (nodeIds.indexOf(node) < 0) {
+            error(column + perturbation.indexOf(node), node, 'Unknown node ' + node, 'Check the spelling of the node');
+            continue;
+        }
+        result.perturbations.push({
+            iteration: parseInt(lines[i].split(':')[0], 10),
+            node: node,
+            action: action,
+            value: value
+        });
+    }
+    sortSchedule(result.perturbations);
+    return result;
+};
+
+/*
+ * Sort perturbations by iteration, keeping the order of perturbations of
+ * the same iteration.
+ * @param {Array} perturbations The perturbations, sorted in place.
+ */
+var sortSchedule = function (perturbations) {
+    var i;
+    for (i = 0; i < perturbations.length; i++)
+        perturbations[i].index = i;
+    perturbations.sort(function (a, b) {
+        return a.iteration - b.iteration || a.index - b.index;
+    });
+    for (i = 0; i < perturbations.length; i++)
+        delete perturbations[i].index;
+};
+
+/*
+ * Describe a perturbation in the syntax of parseSchedule, without the
+ * iteration.
+ * @param {Object} perturbation The perturbation.
+ * @returns {string} E.g. "EGF = 1" or "knockout Rb".
+ */
+formatPerturbation = function (perturbation) {
+    if (perturbation.action === 'set')
+        return perturbation.node + ' = ' + (perturbation.value ? 1 : 0);
+    return perturbation.action + ' ' + perturbation.node;
+};
+
+/*
+ * Write a schedule in the syntax of parseSchedule.
+ * @param {Array} perturbations The perturbations.
+ * @returns {string} The schedule, one perturbation per line.
+ */
+formatSchedule = function (perturbations) {
+    return perturbations.map(function (perturbation) {
+        return perturbation.iteration + ': ' + formatPerturbation(perturbation) + '\n';
+    }).join('');
+};
+
+/*
+ * @param {Array} perturbations The perturbations.
+ * @param {number} iteration An iteration as numbered in the time series.
+ * @returns {Array} The perturbations scheduled for the iteration.
+ */
+perturbationsAt = function (perturbations, iteration) {
+    return perturbations.filter(function (perturbation) {
+        return perturbation.iteration === iteration;
+    });
+};
+
+/*
+ * Show the network's schedule in the schedule editor.
+ */
+loadScheduleText = function () {
+    $('#textSchedule').val(formatSchedule(network.schedule || []));
+    $('#textScheduleStatus').text('');
+};
+
+/*
+ * Event handler for the save button of the schedule editor: parse the
+ * schedule and store it in the network.
+ */
+saveSchedule = function () {
+    if (network === null)
+        return;
+    var parsed = parseSchedule($('#textSchedule').val(), Object.keys(network.state));
+    if (hasDiagnosticErrors(parsed.diagnostics)) {
+        showDiagnostics(parsed.diagnostics, 'The perturbation schedule');
+        return;
+    }
+    network.schedule = parsed.perturbations;
+    loadScheduleText();
+    $('#textScheduleStatus').text(parsed.perturbations.length + ' perturbation(s) scheduled');
+};
+
+/*
+ * Apply the perturbations scheduled for the last iteration of the time
+ * series, unless that was done already. The perturbations applied are
+ * kept with the column, so that the time series can mark them.
+ */
+applyScheduledPerturbations = function () {
+    var column = timeseriesColumns[timeseriesColumns.length - 1];
+    var perturbations, values = {}, clamps = {}, i, p, id;
+    if (network === null || !network.schedule || column === null || column.hasOwnProperty('perturbations'))
+        return;
+
+    perturbations = perturbationsAt(network.schedule, column.step + 1).filter(function (perturbation) {
+        return network.state.hasOwnProperty(perturbation.node);
+    });
+    column.perturbations = perturbations;
+    if (perturbations.length === 0)
+        return;
+
+    for (i = 0; i < perturbations.length; i++) {
+        p = perturbations[i];
+        if (p.action === 'set')
+            values[p.node] = p.value;
+        else
+            clamps[p.node] = p.value;
+    }
+    for (id in clamps) {
+        if (network.clamp[id] !== clamps[id] && (clamps[id] !== null || network.clamp.hasOwnProperty(id)))
+            engine.setClamp(id, clamps[id]);
+    }
+    engine.setState(values);
+};
+
+/*
+ * @returns {Boolean} Whether perturbations are scheduled for iterations of
+ * the current run not reached yet, i.e. whether the run must go on even if
+ * the network is at rest.
+ */
+hasPendingPerturbations = function () {
+    var column = timeseriesColumns[timeseriesColumns.length - 1];
+    if (network === null || !network.schedule || !column)
+        return false;
+    return network.schedule.some(function (perturbation) {
+        return perturbation.iteration > column.step + 1 && network.state.hasOwnProperty(perturbation.node);
+    });
+};
@@ -0,0 +1,25 @@
+/*
+ * Web Worker screening the mutants of a network, so that the page stays
+ * responsive. It receives {model, options} (see MutantScreen) and posts
+ * {type: 'progress', progress} messages followed by {type: 'result', result}
+ * or {type: 'error', message}. The screen is cancelled by terminating the
+ * worker.
+ */
+importScripts('parser.js', 'bitparallel.js', 'mutantscreen.js');
+
+onmessage = function (event) {
+    var screen, last = 0;
+    try {
+        screen = new MutantScreen(event.data.model, event.data.options);
+        while (!screen.done()) {
+            screen.runBatch();
+            if (Date.now() - last > 100) {
+                postMessage({ type: 'progress', progress: screen.progress() });
+                last = Date.now();
+            }
+        }
+        postMessage({ type: 'result', result: screen.result() });
+    } catch (e) {
+        postMessage({ type: 'error', message: e.message || String(e) });
+    }
+};
@@ -12,33 +12,6 @@ randomColor = function() {
     return color;
 };
 
-/*
- * Convert the update rule to a function. This is done by matching all the node
- * ids and replacing them with the state variable equivalents. @param {string}
- * rule The update rule. @returns {Function} The function for the update rule.
- */
-rule2function = function(node, rule) {
-    var newRule;
-    if (typeof (rule) === "undefined") {
-        // during update the previous node value is set (equal to no update at
-        // all)
-        newRule = "state['" + node + "'];";
-    } else {
-        // Match the node ids
-        newRule = rule.replace(/[A-Za-z0-9_]+/g, function(text) {
-            if (text === 'true' || text === 'false')
-                return text;
-            return "state['" + text + "']";
-        });
-    }
-    // Create the function passing the current state as the first parameter
-    try {
-        return Function("state", "return " + newRule + ";");
-    } catch (e) {
-        return null;
-    }
-};
-
 updateAllGraphNodes = function(state, graph) {
     var drawables = graph.drawables();
     for (i in state) {
@@ -66,12 +39,10 @@ updateGraphNode = function(drawables, i) {
 obj = null;
 config = null;
 network = null;
-ruleFunctions = {};
+engine = null;
 running = false;
-iterationCounter = 0;
 initialIndex = 0;
 plot = null;
-states = [];
 
 /*
  * Functions for the buttons in divNetworkLegend
@@ -81,43 +52,43 @@ states = [];
 $('#buttonResetStates').click(function() {
     if (network == null || network == undefined)
         return;
-    var i;
+    var i, values = {};
     for (i in network.nodes) {
         var id = network.nodes[i].id;
         if (network.state.hasOwnProperty(id)) {
             if (network.initialState.hasOwnProperty(id))
-                network.state[id] = network.initialState[id];
+                values[id] = network.initialState[id];
             else
-                network.state[id] = true;
+                values[id] = true;
         }
     }
-    updateAllGraphNodes(network.state, networkGraph);
+    engine.setState(values);
 });
 
 // set all nodes to true
 $('#buttonAllTrue').click(function() {
     if (network == null || network == undefined)
         return;
-    var i;
+    var i, values = {};
     for (i in network.nodes) {
         var id = network.nodes[i].id;
         if (network.state.hasOwnProperty(id))
-            network.state[id] = true;
+            values[id] = true;
     }
-    updateAllGraphNodes(network.state, networkGraph);
+    engine.setState(values);
 });
 
 // set all nodes to false
 $('#buttonAllFalse').click(function() {
     if (network == null || network == undefined)
         return;
-    var i;
+    var i, values = {};
     for (i in network.nodes) {
         var id = network.nodes[i].id;
         if (network.state.hasOwnProperty(id))
-            network.state[id] = false;
+            values[id] = false;
     }
-    updateAllGraphNodes(network.state, networkGraph);
+    engine.setState(values);
 });
 
 /*
@@ -131,13 +102,37 @@ initializeSimulator = function(jsbgn, settings, graph) {
     network = jsbgn;
     config = settings;
     network.freeze = {};
+    if (!network.priority)
+        network.priority = {};
+    if (!network.schedule)
+        network.schedule = [];
     running = false;
 
     console.log('Initializing simulator ...');
 
     $('#buttonSimulate').click(startSimulator);
-    // $('#buttonAnalyse')
-    // .click(findAttractors);
+    $('#buttonStep').click(stepSimulator);
+    $('#buttonStepBack').click(stepBackSimulator);
+    $('#buttonRunIterations').click(runIterations);
+    $('#buttonAnalyse').click(findAttractors);
+    $('#buttonSearchAttractors').click(searchAttractors);
+    $('#buttonQuery').click(runQuery);
+    $('#buttonReplayWitness').click(replayWitness);
+    $('#buttonScreen').click(screenMutants);
+    $('#buttonResponseTable').click(computeResponseTable);
+    $('#sliderTimeseriesZoom').bind('slide', onTimeseriesZoomSlider);
+    $('#canvasTimeseries').bind('mousewheel DOMMouseScroll', onTimeseriesWheel)
+        .bind('mousemove', onTimeseriesMouseMove)
+        .bind('mousedown', onTimeseriesMouseDown)
+        .bind('mouseup mouseleave', onTimeseriesMouseUp);
+    $('#canvasTimeseriesOverview').bind('mousedown mousemove mouseup mouseleave', onTimeseriesOverviewMouse);
+    $('#divTimeseriesScroll').bind('scroll', onTimeseriesScroll);
+    cancelAttractorSearch();
+    clearAnalysis();
+    clearQuery();
+    cancelScreen();
+    clearScreen();
+    clearResponseTable();
 
     // initialize the state of the network
     var i;
@@ -149,27 +144,67 @@ initializeSimulator = function(jsbgn, settings, graph) {
         network.freeze[id] = false;
     }
 
+    // the views subscribe to the simulation engine's events
+    engine = new SimulationEngine(network, config);
+    engine.on('step', onSimulationUpdate);
+    engine.on('change', onSimulationUpdate);
+    engine.on('steady', onSimulationSteady);
+    engine.on('step', onTimeseriesStep);
+    engine.on('step', applyScheduledPerturbations);
+    engine.on('reset', resetTimeseries);
+    engine.on('steady', updateSteadyStates);
+    engine.on('cycle', onSimulationCycle);
+    engine.on('cycle', highlightTimeseriesCycle);
+    engine.on('cycle', updateCycleStates);
+    engine.on('change', clearCycleReport);
+    engine.on('reset', clearCycleReport);
+    engine.on('change', clearQuery);
+    engine.on('change', drawTimeseries);
+    engine.on('change', updateMutationPanel);
+    engine.on('branch', onSimulationUpdate);
+    engine.on('branch', onTimeseriesBranch);
+    engine.on('branch', clearCycleReport);
+    engine.on('branch', clearQuery);
+    engine.on('branch', updateMutationPanel);
+    engine.on('back', onSimulationUpdate);
+    engine.on('back', onTimeseriesBack);
+    engine.on('back', clearCycleReport);
+    engine.on('back', clearQuery);
+    engine.on('back', updateMutationPanel);
+
     resetTimeseries();
     createSteadyStates();
+    clearCycleReport();
+    updateMutationPanel();
 
-    ruleFunctions = {};
-    for (i in network.state) {
-        ruleFunctions[i] = rule2function(i, network.rules[i]);
-    }
     updateAllGraphNodes(network.state, graph);
 };
 
 destroySimulator = function() {
     $('#buttonSimulate').unbind('click', startSimulator);
+    $('#buttonStep').unbind('click', stepSimulator);
+    $('#buttonStepBack').unbind('click', stepBackSimulator);
+    $('#buttonRunIterations').unbind('click', runIterations);
+    $('#buttonAnalyse').unbind('click', findAttractors);
+    $('#buttonSearchAttractors').unbind('click', searchAttractors);
+    $('#buttonQuery').unbind('click', runQuery);
+    $('#buttonReplayWitness').unbind('click', replayWitness);
+    $('#buttonScreen').unbind('click', screenMutants);
+    $('#buttonResponseTable').unbind('click', computeResponseTable);
+    $('#sliderTimeseriesZoom').unbind('slide', onTimeseriesZoomSlider);
+    $('#canvasTimeseries').unbind('mousewheel DOMMouseScroll', onTimeseriesWheel)
+        .unbind('mousemove', onTimeseriesMouseMove)
+        .unbind('mousedown', onTimeseriesMouseDown)
+        .unbind('mouseup mouseleave', onTimeseriesMouseUp);
+    $('#canvasTimeseriesOverview').unbind('mousedown mousemove mouseup mouseleave', onTimeseriesOverviewMouse);
+    $('#divTimeseriesScroll').unbind('scroll', onTimeseriesScroll);
 };
 
 var resetSimulator = function() {
     if (running)
         stopSimulator();
-    for (i in states[initialIndex])
-        network.state[i] = states[initialIndex][i];
+    engine.reset(engine.history[initialIndex]);
     updateAllGraphNodes(network.state, networkGraph);
-    resetTimeseries();
 };
 
 /*
@@ -183,13 +218,21 @@ updateNodeColor = function(nodeid) {
         color = blue;
     stroke = "black";
     width = "2px";
+    dash = "none";
     if (network.freeze[nodeid]) {
         stroke = "#FF4538"; // red'ish
         width = "6px";
     }
+    // mutants get a dashed outline
+    if (network.clamp.hasOwnProperty(nodeid)) {
+        stroke = network.clamp[nodeid] ? overexpressionColor : knockoutColor;
+        width = "6px";
+        dash = "10,5";
+    }
 
     $('#' + nodeid + ' :eq(0)').css('stroke', stroke)
             .css('stroke-width', width)
+            .css('stroke-dasharray', dash)
             // ~ .css('fill', color);
             .animate({
                 'fill' : color
@@ -204,15 +247,12 @@ onNodeClick = function(ob, ev) {
     var nodeid = this.id();
 
     if (!ev.ctrlKey) {
-        network.state[nodeid] = !network.state[nodeid];
+        var values = {};
+        values[nodeid] = !network.state[nodeid];
+        engine.setState(values);
     } else {
-        network.freeze[nodeid] = !network.freeze[nodeid];
+        engine.setFrozen(nodeid, !network.freeze[nodeid]);
     }
-    updateNodeColor(nodeid);
-
-    // Update the value in the plot
-    states[iterationCounter] = {};
-    $.extend(states[iterationCounter], network.state);
 
     // Start the simulation if the One click option is checked
     if (config.oneClick && (!running))
@@ -222,88 +262,112 @@ onNodeClick = function(ob, ev) {
 };
 
 /*
- * Event handler for right click on a node: remove node
+ * Event handler for right click on a node: open the node's context menu,
+ * which mutates or removes the node
  */
 onRightClick = function(event) {
-    if (running) {
-        alert('Node cannot be deleted while simulating');
-        event.preventDefault();
-        return;
-    }
     if (!event.ctrlKey) {
         event.preventDefault();
         var id = $(this).attr('id');
-        $('#deleteNodeID').html(id);
-        $('#dialogDeleteNode').dialog('open');
-        $('#buttonDeleteNodeYes')
-            .unbind('click')
-            .bind('click', id, controls.deleteNodeFromGraph);
+        $('#menuKnockout').parent().toggle(network.clamp[id] !== false);
+        $('#menuOverexpress').parent().toggle(network.clamp[id] !== true);
+        $('#menuRelease').parent().toggle(network.clamp.hasOwnProperty(id));
+        $('#menuNode').data('node', id)
+                .css({ left : event.pageX, top : event.pageY })
+                .show();
     }
 };
 
 /*
- * Calculate the new state of the network using the update rules. The node state
- * is updated synchronously in the sense that the update rule is calculated
- * using the previous iteration's state. Only after calculating all the new
- * states, the state variable is updated. @returns {Array} A list of the changed
- * nodes.
+ * Ask whether to remove a node.
+ * @param {string} id The node id.
  */
-synchronousUpdate = function(state) {
-    var i, id;
-    var changed = [];
-    var newState = {};
-
-    // Get the new states by calling the respective update rule functions
-    for (i in network.state) {
-        if (!network.freeze[i]) {
-            newState[i] = ruleFunctions[i](state);
-            if (newState[i] !== state[i])
-                changed.push(i);
-        } else {
-            newState[i] = state[i];
-        }
-    }
-    // The update is synchronous: the states are updated only after all
-    // the new states are calculated
-    for (i in changed) {
-        id = changed[i];
-        state[id] = newState[id];
+openDeleteNodeDialog = function(id) {
+    if (running) {
+        alert('Node cannot be deleted while simulating');
+        return;
     }
-    return changed;
+    $('#deleteNodeID').html(id);
+    $('#dialogDeleteNode').dialog('open');
+    $('#buttonDeleteNodeYes')
+        .unbind('click')
+        .bind('click', id, controls.deleteNodeFromGraph);
 };
 
 /*
- * Run a single iteration. Call the run function after completing an iteration.
- * The node color is updated using an animation.
+ * List the knocked out and overexpressed nodes in the mutation panel, each
+ * with a button to remove the mutation. The panel is hidden while there
+ * are none.
  */
-updateAndContinue = function() {
-    var changed, i;
-    changed = synchronousUpdate(network.state);
-
-    states.push({});
-    $.extend(states[iterationCounter + 1], network.state);
+var updateMutationPanel = function() {
+    var list = $('#listMutations').empty(), ids = Object.keys(network.clamp).sort();
+    ids.forEach(function(id) {
+        $('<li/>').append($('<div class="legend legendMutation"/>')
+                        .css('border-color', network.clamp[id] ? overexpressionColor : knockoutColor))
+                .append(document.createTextNode(' ' + id + (network.clamp[id] ? ' overexpressed ' : ' knocked out ')))
+                .append($('<a href="#">remove</a>').click(function(event) {
+                    event.preventDefault();
+                    engine.setClamp(id, null);
+                }))
+                .appendTo(list);
+    });
+    $('#divMutations').css('display', ids.length > 0 ? 'block' : 'none');
+};
 
-    // Update the node colors after an iteration and call run again if
-    // the Simulation has not reached steady state
-    if (changed.length > 0) {
+/*
+ * Event handler for the engine's step and change events: Update the colors
+ * of the nodes changed by an iteration or toggled by the user.
+ */
+var onSimulationUpdate = function(event) {
+    var i;
+    for (i in event.changed)
+        updateNodeColor(event.changed[i]);
+};
 
-        // update bui
-        for (i in changed)
-            updateNodeColor(changed[i]);
+/*
+ * Event handler for the engine's steady event: stop the simulation, unless
+ * the schedule still perturbs the network later in this run.
+ */
+var onSimulationSteady = function(event) {
+    if (running && hasPendingPerturbations())
+        return;
+    console.log('Boolean network reached steady state.');
+    stopSimulator();
+};
 
-        // iterate again after delay
-        setTimeout(function() {
-            runSimulator();
-        }, config.simDelay);
-    } else {
-        console.log('Boolean network reached steady state.');
+/*
+ * Event handler for the engine's cycle event: report the cycle's length and
+ * states and optionally pause.
+ */
+var onSimulationCycle = function(event) {
+    var states = event.states.map(function(state, i) {
+        var active = [], id;
+        for (id in state) {
+            if (state[id])
+                active.push(id);
+        }
+        return 'State ' + (i + 1) + ': ' + (active.length > 0 ? active.join(', ') : 'all false');
+    });
+    console.log('Boolean network entered a cycle of length ' + event.length + ':\n' + states.join('\n'));
+    $('#textCycle').text('Cycle of length ' + event.length)
+            .attr('title', 'Active nodes\n' + states.join('\n'));
+    if (config.pauseOnCycle)
         stopSimulator();
+};
 
-        // append new steady-state to SteadyStates
-        updateSteadyStates();
-    }
+/*
+ * Remove the cycle report, e.g. after node states were changed.
+ */
+var clearCycleReport = function() {
+    $('#textCycle').text('').attr('title', '');
 };
 
+/*
+ * The number of iterations left to run, see runIterations; null when
+ * simulating until paused.
+ */
+var remainingIterations = null;
+
 /*
  * executes the simulator
  */
@@ -312,28 +376,39 @@ runSimulator = function() {
         return;
 
     // Get the next states from the current state
-    updateAndContinue();
+    engine.step();
+    if (remainingIterations !== null && --remainingIterations <= 0)
+        stopSimulator();
 
-    // update iteration counter
-    iterationCounter++;
-    $('#textIteration').text(timeseriesLabelCounter);
-    if (plot !== null)
-        createNodeStateColumn(network.state, iterationCounter + skipped);
+    // iterate again after delay, unless a steady state was reached
+    if (running)
+        setTimeout(function() {
+            runSimulator();
+        }, config.simDelay);
 };
 
 /*
- * bind event handlers
+ * Reload the update rules if in editor mode.
+ * @returns {Boolean} Whether the rules could be applied.
  */
-startSimulator = function() {
-    // reload update rules if in editor mode
+var applyEditedRules = function() {
     var index = $('#tabs').tabs('option', 'selected');
     if (index === 1) {
         if (!reloadUpdateRules()) {
             prevTab = 2;
             $('#tabs').tabs('select', 1);
-            return;
+            return false;
         }
     }
+    return true;
+};
+
+/*
+ * bind event handlers
+ */
+startSimulator = function() {
+    if (!applyEditedRules())
+        return;
 
     $('#buttonSimulate').unbind('click', startSimulator).click(stopSimulator)
             .button("option", "icons", {
@@ -351,16 +426,10 @@ startSimulator = function() {
             network.initialState[id] = network.state[id];
     }
 
-    if (iterationCounter > 0) {
-        // move 2 steps to the right, delete the column inbetween
-        removeNodeStateColumn(iterationCounter + skipped + 1);
-        // reset timeseries label counter
-        timeseriesLabelCounter = 1;
-        // draw the next first timeseries column
-        createNodeStateColumn(network.state, iterationCounter + skipped + 2);
-        skipped += 2;
-    }
-    initialIndex = iterationCounter;
+    // leave a gap in the time series before the new run
+    startTimeseriesRun();
+    initialIndex = engine.iteration;
+    applyScheduledPerturbations();
 
     runSimulator();
 };
@@ -370,6 +439,7 @@ startSimulator = function() {
  */
 stopSimulator = function() {
     running = false;
+    remainingIterations = null;
 
     $('#buttonSimulate').unbind('click', stopSimulator).click(startSimulator)
             .button("option", "icons", {
@@ -380,3 +450,49 @@ stopSimulator = function() {
     // switch on editing rules
     $('#textRules').prop('disabled', false);
 };
+
+/*
+ * Run a single iteration, pausing the simulation first.
+ */
+stepSimulator = function() {
+    if (running)
+        stopSimulator();
+    if (!applyEditedRules())
+        return;
+    applyScheduledPerturbations();
+    engine.step();
+};
+
+/*
+ * Undo the last iteration, pausing the simulation first.
+ */
+stepBackSimulator = function() {
+    if (running)
+        stopSimulator();
+    engine.stepBack();
+};
+
+/*
+ * Simulate the number of iterations entered next to the Run button, unless
+ * a steady state is reached before.
+ */
+runIterations = function() {
+    var n = parseInt($('#textRunIterations').val(), 10);
+    if (running || !(n > 0))
+        return;
+    remainingIterations = n;
+    startSimulator();
+    if (!running)
+        remainingIterations = null;
+};
+
+/*
+ * Set the delay between two iterations.
+ * @param {number} index The index of the delay in simulationDelays.
+ */
+setSimulationDelay = function(index) {
+    simDelay = simulationDelays[index];
+    if (config !== null)
+        config.simDelay = simDelay;
+    $('#sliderSpeed').attr('title', simDelay + ' ms per iteration');
+};
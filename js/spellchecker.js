@@ -1,7 +1,12 @@
 
 /*
- * Basic spellchecker for JavaScript Boolean networks
+ * Basic spellchecker for JavaScript Boolean networks,
+ * the rules are checked using the rule parser in parser.js
  */
+
+// matches the optional priority class prefix of a rule, e.g. "2: "
+var priorityPrefix = /^\s*\d+\s*:/;
+
 SpellChecker = function(_idTextarea, _idParentDiv, _lineHeight) {
 
         obj = {
@@ -40,6 +45,12 @@ SpellChecker = function(_idTextarea, _idParentDiv, _lineHeight) {
             if (t.length == 0)
                 return null;
             
+            // the optional priority class prefix, e.g. "2: A = B", is checked separately
+            var wholeLine = currentLine;
+            currentLine = currentLine.replace(priorityPrefix, '');
+            if (currentLine.indexOf(':') > -1)
+                return 'Priority class must be a number followed by a colon at the beginning of the line';
+            
             // check if exactly one "=" is present
             if (currentLine.split('=').length < 2)
                 return 'Equality sign missing';
@@ -54,54 +65,22 @@ SpellChecker = function(_idTextarea, _idParentDiv, _lineHeight) {
             if (currentLine.split('=')[1].trim().length == 0)
                 return 'Empty rules are not allowed';
             
-            // check for illegal characters
-            if (currentLine.match(/[A-Za-z0-9_&\|!= ()]+/g)[0].length != currentLine.length)
-                return 'Illegal character';
-            
-            // check for accidental use of "and", "or", "not"
-            if ((/\b(and|or|not|true|false)\b/gi).test(currentLine))
-                return 'Please use JavaScript syntax for logical operators';
-            
-            // check for unclosed brackets
-            if (currentLine.split('(').length != currentLine.split(')').length)
-                return 'Number of opened and closed brackets is not identical';
-            
-            // check for missing logical operator
-            if (currentLine.replace(' ','').indexOf(')(') > -1)
-                return 'Logical operator missing between brackets';
-            
-            // rules must not end with "!"
-            if (t[t.length-1] == '!')
-                return 'Rule must not end with NOT operator';
-            
-            // check if all node names are properly interrupted by and/or
-            // extract right side of equation
-            var l = currentLine.split('=')[1];
-            // remove brackets and "not"s
-            l = l.replace(/()!/g,' ');
-            // separate node names from logical operators, treat AND and OR equally
-            l = l.replace(/(&|\|){2}/g,' % '); // http://www.w3schools.com/jsref/jsref_obj_regexp.asp
-            // split rule into whole words
-            var ls = l.match(/[A-Za-z0-9_%]+/g);
-            if (ls.length > 0) {
-                if (ls[0] == '%')
-                    return 'Equation must not start with a logical operator';
-                if (ls[ls.length-1] == '%')
-                    return 'Equation must not end with a logical operator';
-                if (ls.length % 2 == 0)
-                    return 'Rule incomplete';
-                for (var i=0; i<=ls.length-3; i+=2) {
-                    // all nodes must be interrupted by a logical operator
-                    if (ls[i] == '%' || ls[i+1] != '%' || ls[i+2] == '%')
-                        return 'Logical problem between nodes '+ls[i]+' and '+ls[i+2];
-                };
+            // parse the right side of the equation, reporting the first error
+            var rightSide = currentLine.split('=')[1];
+            try {
+                parseRule(rightSide, { dialect: 'js' });
+            } catch (e) {
+                if (!(e instanceof RuleSyntaxError))
+                    throw e;
+                var column = (wholeLine.length - currentLine.length) + currentLine.indexOf('=') + 1 + e.column;
+                return 'Column ' + column + ': ' + e.message;
             }
             
             // check for conflicting target rules
-            var remainingLines = this.textarea.value.replace(currentLine,'').split('\n');
+            var remainingLines = this.textarea.value.replace(wholeLine,'').split('\n');
             var targets = [];
             for (var i=0; i<remainingLines.length; i++) {
-                var line = remainingLines[i];
+                var line = remainingLines[i].replace(priorityPrefix, '');
                 targets.push( line.split('=')[0].trim() );
             }
             var currentTargetNode = currentLine.split('=')[0].trim();
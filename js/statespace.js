@@ -0,0 +1,381 @@
+/*
+ * Exhaustive analysis of the state space of small Boolean networks.
+ * A state is encoded as an integer, bit i holding the state of the i-th
+ * node of the network. Nothing in here depends on the DOM.
+ */
+
+/*
+ * The maximum number of nodes whose state space is enumerated,
+ * 2^20 states take several seconds, see StateSpaceAnalysis.
+ */
+var maxAnalysisNodes = 20;
+
+/*
+ * The number of states whose transitions are computed per batch of a
+ * StateSpaceAnalysis.
+ */
+var stateSpaceBatchSize = 4096;
+
+/*
+ * @param {Array} ids The node ids in the order of the bits.
+ * @param {Object} state The network state.
+ * @returns {number} The integer encoding the state.
+ */
+encodeStateIndex = function (ids, state) {
+    var code = 0, i;
+    for (i = 0; i < ids.length; i++) {
+        if (state[ids[i]])
+            code |= 1 << i;
+    }
+    return code;
+};
+
+/*
+ * @param {Array} ids The node ids in the order of the bits.
+ * @param {number} code The integer encoding the state.
+ * @returns {Object} The network state.
+ */
+decodeStateIndex = function (ids, code) {
+    var state = {}, i;
+    for (i = 0; i < ids.length; i++)
+        state[ids[i]] = (code & (1 << i)) !== 0;
+    return state;
+};
+
+/*
+ * Compute the successor of states with a deterministic update scheme.
+ * @param {SimulationEngine} engine The engine providing rules and scheme.
+ * @param {Array} ids The node ids.
+ * @param {Int32Array} successors The successor of each state, filled in
+ * from state from to state to (exclusive).
+ */
+var computeSuccessors = function (engine, ids, successors, from, to) {
+    var code, state;
+    for (code = from; code < to; code++) {
+        state = decodeStateIndex(ids, code);
+        engine.update(state);
+        successors[code] = encodeStateIndex(ids, state);
+    }
+};
+
+/*
+ * Compute, for states, which nodes would change when updated. With the
+ * asynchronous scheme every set bit leads to one successor state.
+ * @param {SimulationEngine} engine The engine providing the rules.
+ * @param {Array} ids The node ids.
+ * @param {Int32Array} masks A bit mask of the unstable nodes of each
+ * state, filled in from state from to state to (exclusive).
+ */
+var computeUnstableNodes = function (engine, ids, masks, from, to) {
+    var code, state, i, mask;
+    for (code = from; code < to; code++) {
+        state = decodeStateIndex(ids, code);
+        mask = 0;
+        for (i = 0; i < ids.length; i++) {
+            if (!engine.network.freeze[ids[i]] && engine.functions[ids[i]](state) !== state[ids[i]])
+                mask |= 1 << i;
+        }
+        masks[code] = mask;
+    }
+};
+
+/*
+ * Find the attractors of a deterministic state transition graph, in which
+ * every state has exactly one successor. Every state belongs to the basin
+ * of exactly one attractor.
+ * @param {Int32Array} successors The successor of each state.
+ * @returns {Array} The attractors, each with its states and basin size.
+ */
+var findDeterministicAttractors = function (successors) {
+    var size = successors.length;
+    var attractorOf = new Int32Array(size);
+    var onPath = new Int32Array(size);
+    var attractors = [], path, cycle;
+    var s, x, a, i;
+
+    for (s = 0; s < size; s++)
+        attractorOf[s] = -1;
+
+    for (s = 0; s < size; s++) {
+        if (attractorOf[s] >= 0)
+            continue;
+        // Follow the trajectory until a state is reached that was either
+        // assigned to an attractor already or is on the current path
+        path = [];
+        x = s;
+        while (attractorOf[x] < 0 && onPath[x] !== s + 1) {
+            onPath[x] = s + 1;
+            path.push(x);
+            x = successors[x];
+        }
+        if (attractorOf[x] < 0) {
+            cycle = [];
+            do {
+                cycle.push(x);
+                x = successors[x];
+            } while (x !== cycle[0]);
+            a = attractors.length;
+            attractors.push({ states: cycle, basin: 0 });
+        } else
+            a = attractorOf[x];
+        for (i = 0; i < path.length; i++)
+            attractorOf[path[i]] = a;
+        attractors[a].basin += path.length;
+    }
+    return attractors;
+};
+
+/*
+ * Find the attractors of the asynchronous state transition graph, i.e. its
+ * terminal strongly connected components (Tarjan's algorithm, iterative).
+ * The basin of an attractor are all states it can be reached from, so
+ * basins may overlap.
+ * @param {Int32Array} masks The unstable nodes of each state.
+ * @param {number} n The number of nodes.
+ * @returns {Array} The attractors, each with its states and basin size.
+ */
+var findAsynchronousAttractors = function (masks, n) {
+    var size = masks.length;
+    var index = new Int32Array(size), lowlink = new Int32Array(size);
+    var component = new Int32Array(size), onStack = new Uint8Array(size);
+    var stack = new Int32Array(size), stackSize = 0;
+    var frames = new Int32Array(size), bits = new Int32Array(size), depth;
+    var counter = 1, components = 0, attractors = [];
+    var s, v, w, bit, members, terminal, i;
+
+    for (s = 0; s < size; s++) {
+        if (index[s] !== 0)
+            continue;
+        depth = 0;
+        frames[0] = s;
+        bits[0] = 0;
+        index[s] = lowlink[s] = counter++;
+        stack[stackSize++] = s;
+        onStack[s] = 1;
+
+        while (depth >= 0) {
+            v = frames[depth];
+            bit = bits[depth];
+            // Find the next successor of v
+            while (bit < n && !(masks[v] & (1 << bit)))
+                bit++;
+            if (bit < n) {
+                bits[depth] = bit + 1;
+                w = v ^ (1 << bit);
+                if (index[w] === 0) {
+                    index[w] = lowlink[w] = counter++;
+                    stack[stackSize++] = w;
+                    onStack[w] = 1;
+                    depth++;
+                    frames[depth] = w;
+                    bits[depth] = 0;
+                } else if (onStack[w] && index[w] < lowlink[v])
+                    lowlink[v] = index[w];
+                continue;
+            }
+
+            // All successors of v are done: v may be the root of a component
+            if (lowlink[v] === index[v]) {
+                members = [];
+                do {
+                    w = stack[--stackSize];
+                    onStack[w] = 0;
+                    component[w] = components;
+                    members.push(w);
+                } while (w !== v);
+
+                terminal = true;
+                for (i = 0; i < members.length && terminal; i++) {
+                    for (bit = 0; bit < n; bit++) {
+                        if ((masks[members[i]] & (1 << bit)) && component[members[i] ^ (1 << bit)] !== components) {
+                            terminal = false;
+                            break;
+                        }
+                    }
+                }
+                if (terminal)
+                    attractors.push({ states: members.sort(function (a, b) { return a - b; }), basin: 0 });
+                components++;
+            }
+            depth--;
+            if (depth >= 0 && lowlink[v] < lowlink[frames[depth]])
+                lowlink[frames[depth]] = lowlink[v];
+        }
+    }
+
+    // The basin is found by a backward search from the attractor:
+    // u is a predecessor of v if flipping bit i of u gives v
+    var seen, queue, head, u;
+    for (i = 0; i < attractors.length; i++) {
+        seen = new Uint8Array(size);
+        queue = attractors[i].states.slice();
+        for (head = 0; head < queue.length; head++)
+            seen[queue[head]] = 1;
+        for (head = 0; head < queue.length; head++) {
+            v = queue[head];
+            for (bit = 0; bit < n; bit++) {
+                u = v ^ (1 << bit);
+                if (!seen[u] && (masks[u] & (1 << bit))) {
+                    seen[u] = 1;
+                    queue.push(u);
+                }
+            }
+        }
+        attractors[i].basin = queue.length;
+    }
+    return attractors;
+};
+
+/*
+ * Compute the state transition graph of a network. The engine's update
+ * scheme is used; the random schemes (asynchronous and random order) are
+ * given asynchronous semantics, i.e. every state may change into any state
+ * differing in one unstable node. Frozen nodes keep their state. The
+ * network must not have more than maxAnalysisNodes nodes.
+ * @param {SimulationEngine} engine The engine of the network.
+ * @returns {Object} The node ids (in the order of the bits), the number of
+ * states, whether the dynamics are deterministic, the successor of each
+ * state (deterministic) or the unstable nodes of each state (otherwise)
+ * and a function returning the successors of a state.
+ */
+computeTransitions = function (engine) {
+    var ids = Object.keys(engine.network.state);
+    var size = 1 << ids.length;
+    var transitions = {
+        nodes: ids,
+        size: size,
+        deterministic: engine.isDeterministic(),
+        successors: null,
+        masks: null
+    };
+
+    if (transitions.deterministic) {
+        transitions.successors = new Int32Array(size);
+        computeSuccessors(engine, ids, transitions.successors, 0, size);
+    } else {
+        transitions.masks = new Int32Array(size);
+        computeUnstableNodes(engine, ids, transitions.masks, 0, size);
+    }
+    return withSuccessorsOf(transitions);
+};
+
+/*
+ * Add the function successorsOf to transitions, e.g. after they were
+ * passed from a Web Worker, which cannot pass functions.
+ * @param {Object} transitions The transitions, see computeTransitions.
+ * @returns {Object} The transitions.
+ */
+withSuccessorsOf = function (transitions) {
+    transitions.successorsOf = function (code) {
+        var result = [], bit;
+        if (transitions.deterministic)
+            return [transitions.successors[code]];
+        for (bit = 0; bit < transitions.nodes.length; bit++) {
+            if (transitions.masks[code] & (1 << bit))
+                result.push(code ^ (1 << bit));
+        }
+        return result;
+    };
+    return transitions;
+};
+
+/**
+ * Analysis of the state space of a network, split into batches so that it
+ * can report its progress and be cancelled, see js/statespaceworker.js.
+ * Call runBatch until done returns true, then read result.
+ * @param {SimulationEngine} engine The engine of the network.
+ * @constructor
+ */
+var StateSpaceAnalysis = function (engine) {
+    var ids = Object.keys(engine.network.state);
+    this.engine = engine;
+    this.transitions = {
+        nodes: ids,
+        size: 1 << ids.length,
+        deterministic: engine.isDeterministic(),
+        successors: null,
+        masks: null
+    };
+    if (this.transitions.deterministic)
+        this.transitions.successors = new Int32Array(this.transitions.size);
+    else
+        this.transitions.masks = new Int32Array(this.transitions.size);
+    this.computed = 0;
+    this.attractors = null;
+};
+
+/**
+ * @returns {Boolean} Whether the attractors have been found.
+ */
+StateSpaceAnalysis.prototype.done = function () {
+    return this.attractors !== null;
+};
+
+/**
+ * @returns {number} The fraction of states whose transitions have been
+ * computed.
+ */
+StateSpaceAnalysis.prototype.progress = function () {
+    return this.computed / this.transitions.size;
+};
+
+/**
+ * Compute the transitions of the next stateSpaceBatchSize states or, once
+ * all are known, find the attractors.
+ */
+StateSpaceAnalysis.prototype.runBatch = function () {
+    var t = this.transitions, to = Math.min(t.size, this.computed + stateSpaceBatchSize), i;
+    if (this.computed < t.size) {
+        if (t.deterministic)
+            computeSuccessors(this.engine, t.nodes, t.successors, this.computed, to);
+        else
+            computeUnstableNodes(this.engine, t.nodes, t.masks, this.computed, to);
+        this.computed = to;
+        return;
+    }
+
+    if (t.deterministic)
+        this.attractors = findDeterministicAttractors(t.successors);
+    else
+        this.attractors = findAsynchronousAttractors(t.masks, t.nodes.length);
+    for (i = 0; i < this.attractors.length; i++) {
+        if (this.attractors[i].states.length === 1)
+            this.attractors[i].type = 'fixed';
+        else
+            this.attractors[i].type = t.deterministic ? 'cycle' : 'complex';
+    }
+    this.attractors.sort(function (a, b) {
+        return b.basin - a.basin;
+    });
+};
+
+/**
+ * @returns {Object} The transitions (see computeTransitions) without the
+ * function successorsOf and the attractors, each with type fixed, cycle
+ * or complex, its states and basin size.
+ */
+StateSpaceAnalysis.prototype.result = function () {
+    var t = this.transitions;
+    return {
+        nodes: t.nodes,
+        size: t.size,
+        deterministic: t.deterministic,
+        successors: t.successors,
+        masks: t.masks,
+        attractors: this.attractors
+    };
+};
+
+/*
+ * Enumerate all states of a network and find its attractors, see
+ * computeTransitions for the semantics.
+ * @param {SimulationEngine} engine The engine of the network.
+ * @returns {Object} The transitions (see computeTransitions) and the
+ * attractors, see StateSpaceAnalysis.result.
+ */
+analyseStateSpace = function (engine) {
+    var analysis = new StateSpaceAnalysis(engine);
+    while (!analysis.done())
+        analysis.runBatch();
+    return withSuccessorsOf(analysis.result());
+};
@@ -0,0 +1,26 @@
+/*
+ * Web Worker enumerating the state space of a network, so that the page
+ * stays responsive. It receives {network, options}, the arguments of a
+ * SimulationEngine, and posts {type: 'progress', progress} messages
+ * followed by {type: 'result', result} (see StateSpaceAnalysis.result) or
+ * {type: 'error', message}. The analysis is cancelled by terminating the
+ * worker.
+ */
+importScripts('parser.js', 'engine.js', 'statespace.js');
+
+onmessage = function (event) {
+    var analysis, last = 0;
+    try {
+        analysis = new StateSpaceAnalysis(new SimulationEngine(event.data.network, event.data.options));
+        while (!analysis.done()) {
+            analysis.runBatch();
+            if (Date.now() - last > 100) {
+                postMessage({ type: 'progress', progress: analysis.progress() });
+                last = Date.now();
+            }
+        }
+        postMessage({ type: 'result', result: analysis.result() });
+    } catch (e) {
+        postMessage({ type: 'error', message: e.message || String(e) });
+    }
+};
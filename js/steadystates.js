@@ -27,48 +27,84 @@ var highlightIONodes = function () {
     }
 }
 
+/*
+ * Get the nodes shown in the steady states table: the input and output
+ * nodes or, if the network has neither, all nodes.
+ */
+var getSteadyStateColumns = function () {
+    if (networkInputNodes.length + networkOutputNodes.length > 0)
+        return { inputs: networkInputNodes, outputs: networkOutputNodes, title: 'Output nodes' };
+    return { inputs: [], outputs: Object.keys(network.state), title: 'Nodes' };
+};
+
 createSteadyStates = function () {
+    encounteredStateCombinations = [];
+
+    // set content of SteadyStates <table>
+    $("#SteadyStates")
+        .html(steadyStatesHeader());
+}
+
+/*
+ * @returns {string} The header rows of the steady states table.
+ */
+var steadyStatesHeader = function () {
+    var columns = getSteadyStateColumns();
 
     //	var html = "<tr><th colspan="+(networkInputNodes.length+networkOutputNodes.length+1)+">Passed steady states</th></tr>\n";
-    var html = "<tr><th colspan=" + networkInputNodes.length + ">Input nodes</th>";
+    var html = '<tr><th rowspan=2>Attractor</th>';
+    html += "<th colspan=" + columns.inputs.length + ">Input nodes</th>";
     html += '<th style="width: 10px;">&nbsp;</th>';
-    html += "<th colspan=" + networkOutputNodes.length + ">Output nodes</th></tr>";
+    html += "<th colspan=" + columns.outputs.length + ">" + columns.title + "</th></tr>";
     html += "<tr>\n";
     var i;
-    for (i in networkInputNodes) {
-        html += "<th>" + networkInputNodes[i] + "</th>";
+    for (i in columns.inputs) {
+        html += "<th>" + columns.inputs[i] + "</th>";
     }
     html += "<th></th>";
-    for (i in networkOutputNodes) {
-        html += "<th>" + networkOutputNodes[i] + "</th>";
+    for (i in columns.outputs) {
+        html += "<th>" + columns.outputs[i] + "</th>";
     }
     html += "</tr>\n";
-
-    // set content of SteadyStates <table>
-    $("#SteadyStates")
-        .html(html);
+    return html;
 }
 
-appendSteadyStatesTable = function (stateCombination) {
+/*
+ * Append a row to the steady states table.
+ * @param {Array} stateCombination The states of the input and output nodes:
+ * true, false, null if the node oscillates or undefined if unknown.
+ * @param {string} label The content of the attractor column, omitted if null.
+ * @param {number} rowspan The number of rows the label spans.
+ * @param {string} table The table, default the steady states table.
+ */
+appendSteadyStatesTable = function (stateCombination, label, rowspan, table) {
     var row = "<tr>";
     var i;
+    if (label !== null)
+        row += '<td rowspan=' + (rowspan || 1) + '>' + label + '</td>';
     for (i in stateCombination) {
         // spacer between input and output nodes
-        if (i == networkInputNodes.length)
+        if (i == getSteadyStateColumns().inputs.length)
             row += '<td style="border: none;"></td>';
 
-        // green for on, white for off
+        // green for on, white for off, orange for oscillating
         var state = "off";
         var color = "white";
         if (stateCombination[i]) {
             state = "on";
             color = "#10d010";
+        } else if (stateCombination[i] === null) {
+            state = "osc";
+            color = "#ffa500";
+        } else if (typeof (stateCombination[i]) === "undefined") {
+            state = "?";
+            color = "#ccc";
         }
         row += '<td style="background-color: ' + color + ';">' + state + '</td>';
     }
     row += "</tr>\n";
 
-    $("#SteadyStates")
+    $(table || "#SteadyStates")
         .append(row);
 }
 
@@ -84,22 +120,181 @@ workaroundChromiumArrayBug = function (stateCombination) {
     return result;
 }
 
+/*
+ * @param {Object} state A network state.
+ * @returns {Array} The states of the nodes shown in the steady states table.
+ */
+var getStateCombination = function (state) {
+    var columns = getSteadyStateColumns();
+    var combination = [], i;
+    for (i in columns.inputs) {
+        combination.push(state[columns.inputs[i]]);
+    }
+    for (i in columns.outputs) {
+        combination.push(state[columns.outputs[i]]);
+    }
+    return combination;
+}
+
 /*
  * every time, the statespace is updated, check if
  * a new state combination has occured
+ * Event handler for the simulation engine's steady event.
  */
 updateSteadyStates = function () {
-    var currentStateCombination = [];
-    var i;
-    for (i in networkInputNodes) {
-        currentStateCombination.push(network.state[networkInputNodes[i]]);
-    }
-    for (i in networkOutputNodes) {
-        currentStateCombination.push(network.state[networkOutputNodes[i]]);
-    }
+    var currentStateCombination = getStateCombination(network.state);
     s = workaroundChromiumArrayBug(currentStateCombination);
     if (encounteredStateCombinations.indexOf(s) < 0) {
         encounteredStateCombinations.push(s);
-        appendSteadyStatesTable(currentStateCombination);
+        appendSteadyStatesTable(currentStateCombination, 'fixed point');
     }
-}
\ No newline at end of file
+}
+
+/*
+ * Log a cyclic attractor with one row per state, unless the same cycle
+ * was logged before.
+ * Event handler for the simulation engine's cycle event.
+ */
+updateCycleStates = function (event) {
+    var combinations = event.states.map(getStateCombination);
+    var key = 'cycle ' + event.states.map(function (state) {
+        return engine.encodeState(state);
+    }).sort().join(' ');
+    var i;
+    if (encounteredStateCombinations.indexOf(key) > -1)
+        return;
+    encounteredStateCombinations.push(key);
+    for (i = 0; i < combinations.length; i++)
+        appendSteadyStatesTable(combinations[i], i === 0 ? 'cycle of length ' + event.length : null, combinations.length);
+}
+
+/*
+ * The maximum number of input nodes whose combinations are enumerated.
+ */
+var maxResponseInputs = 12;
+
+/*
+ * The number of times every input combination is simulated with the
+ * random update schemes.
+ */
+var responseStarts = 64;
+
+/*
+ * The running computation of the response table, see startMutantScreen.
+ */
+var responseJob = null;
+
+/*
+ * Remove the response table, e.g. because the network changed.
+ */
+clearResponseTable = function () {
+    if (responseJob !== null) {
+        responseJob.cancel();
+        responseJob = null;
+    }
+    $('#buttonCancelResponse').button('disable');
+    $('#progressResponse').css('visibility', 'hidden');
+    $('#tableResponse').html('');
+    $('#textResponse').text('');
+};
+
+/*
+ * Simulate every combination of input node values from the current state
+ * of the other nodes to its attractors and list the output nodes' states
+ * in the response table. The inputs are clamped like the mutants of a
+ * screen (see js/mutantscreen.js). With the random update schemes every
+ * combination is simulated repeatedly and may reach several attractors;
+ * only fixed points are recognized then.
+ */
+computeResponseTable = function () {
+    if (network === null)
+        return;
+    if (running)
+        stopSimulator();
+    clearResponseTable();
+
+    var columns = getSteadyStateColumns();
+    var inputs = columns.inputs, combinations = [], code, i, combination;
+    if (inputs.length === 0) {
+        $('#textResponse').text('The network has no input nodes.');
+        return;
+    }
+    if (inputs.length > maxResponseInputs) {
+        $('#textResponse').text('The network has ' + inputs.length + ' input nodes. The combinations can only be enumerated for up to ' +
+                                maxResponseInputs + ' input nodes.');
+        return;
+    }
+    // The first input is the most significant bit
+    for (code = 0; code < (1 << inputs.length); code++) {
+        combination = {};
+        for (i = 0; i < inputs.length; i++)
+            combination[inputs[i]] = ((code >> (inputs.length - 1 - i)) & 1) === 1;
+        combinations.push(combination);
+    }
+
+    var options = {
+        mutants: combinations,
+        outputs: columns.outputs,
+        initialStates: [encodeStateMap(network.state)],
+        starts: engine.isDeterministic() ? 1 : responseStarts,
+        maxSteps: 1000
+    };
+    var onProgress = function (progress) {
+        $('#progressResponse').attr('value', progress);
+    };
+    var onResult = function (result) {
+        responseJob = null;
+        $('#buttonCancelResponse').button('disable');
+        $('#progressResponse').css('visibility', 'hidden');
+        showResponseTable(inputs, result, options);
+    };
+    var onError = function (message) {
+        clearResponseTable();
+        $('#textResponse').text('Computing the response table failed: ' + message);
+    };
+
+    $('#textResponse').text('Simulating ' + combinations.length + ' input combinations ...');
+    $('#progressResponse').attr('value', 0).css('visibility', 'visible');
+    $('#buttonCancelResponse').button('enable');
+    responseJob = startMutantScreen(attractorSearchModel(), options, onProgress, onResult, onError);
+};
+
+/*
+ * Fill the response table with one row per attractor reached by an input
+ * combination, see computeResponseTable.
+ * @param {Array} inputs The input nodes.
+ * @param {Object} result The result of the screen, see MutantScreen.result.
+ * @param {Object} options The options of the screen.
+ */
+var showResponseTable = function (inputs, result, options) {
+    var oscillating = 0, undetermined = 0;
+    var values = { '1': true, '0': false, '~': null };
+
+    $('#tableResponse').html(steadyStatesHeader());
+    result.mutants.forEach(function (m) {
+        var given = inputs.map(function (id) {
+            return m.mutant[id];
+        });
+        var rows = m.phenotype.patterns.map(function (pattern) {
+            return given.concat(pattern.split('').map(function (c) {
+                return values[c];
+            }));
+        });
+        var label = m.phenotype.attractors + ' attractor(s)';
+        if (m.phenotype.patterns.join('').indexOf('~') > -1)
+            oscillating++;
+        if (m.phenotype.undetermined > 0) {
+            undetermined++;
+            label += ', ' + m.phenotype.undetermined + ' of ' + options.starts +
+                ' run(s) reached none within ' + options.maxSteps + ' iterations';
+            rows.push(given.concat(result.outputs.map(function () {
+                return undefined;
+            })));
+        }
+        rows.forEach(function (row, i) {
+            appendSteadyStatesTable(row, i === 0 ? label : null, rows.length, '#tableResponse');
+        });
+    });
+    $('#textResponse').text(result.mutants.length + ' input combinations, ' + oscillating + ' with oscillating outputs' +
+                            (undetermined > 0 ? ', ' + undetermined + ' not settled within ' + options.maxSteps + ' iterations' : '') + '.');
+};
@@ -1,151 +1,598 @@
+/*
+ * The time series view: one row per node, one column per iteration. All
+ * columns are kept; they are drawn into a canvas, only the ones scrolled
+ * into view, and in small into an overview above it. The states are read
+ * from the engine's history.
+ */
 
+// Height of a row and width of a column at the highest zoom level
 var plotH = 20;
+// Width of the node label column
 var plotW = 100;
-var maxColumns = 40;
 var timeseriesLabelCounter = 1;
-var skipped = 0;
+// The first iteration of every simulation run, see startSimulator
+var timeseriesRuns = [0];
+// The iteration each run branched from by clicking a column, by the
+// run's first iteration
+var timeseriesBranches = {};
+// The columns: the iteration, the iteration within the run, the iteration
+// branched from (for the first column of a branch), if it belongs to a
+// cyclic attractor, the cycle's length and the scheduled perturbations
+// applied (see applyScheduledPerturbations); null for the gap between two
+// runs
+var timeseriesColumns = [];
+// Width of a column
+var timeseriesZoom = plotH;
+// Whether the view scrolls along with the simulation
+var timeseriesFollow = true;
+// Whether a redraw is pending
+var timeseriesDrawRequested = false;
+// Height of the overview
+var overviewH = 40;
+// Whether the mouse button was pressed in the overview
+var timeseriesOverviewDrag = false;
+// Whether the iterator position marker is dragged
+var timeseriesMarkerDrag = false;
+// The column the marker is dragged to, -1 if none
+var timeseriesMarkerTarget = -1;
+
+/**
+ * @returns {number} The width of the scrollable part of the time series in
+ * pixels, including the iterator position marker.
+ */
+var timeseriesWidth = function () {
+    return (timeseriesColumns.length + 1) * timeseriesZoom + plotH;
+};
 
 /**
- * Construct the node label column
- * @param {Object} state Current state of the network.
+ * Size the scroll bar to the time series and, if the view follows the
+ * simulation, scroll to the end.
  */
-var createNodeLabelColumn = function (state) {
-    var yPos = 0;
+var updateTimeseriesScroll = function () {
+    var scroll = $('#divTimeseriesScroll');
+    $('#divTimeseriesScrollWidth').css('width', plotW + timeseriesWidth());
+    if (timeseriesFollow)
+        scroll.scrollLeft(plotW + timeseriesWidth() - scroll.width());
+};
+
+/**
+ * Redraw the time series with the next animation frame. Several requests
+ * before that frame result in a single redraw.
+ */
+var drawTimeseries = function () {
+    var frame = window.requestAnimationFrame || function (callback) {
+        setTimeout(callback, 20);
+    };
+    if (timeseriesDrawRequested)
+        return;
+    timeseriesDrawRequested = true;
+    frame(function () {
+        timeseriesDrawRequested = false;
+        paintTimeseries();
+    });
+};
+
+/**
+ * Draw the columns scrolled into view, the node labels and the overview.
+ */
+var paintTimeseries = function () {
+    if (plot === null || network === null || !$('#tabTimeseries').is(':visible'))
+        return;
+
+    var nodes = Object.keys(network.state);
+    var width = $('#divTimeseries').width();
+    var canvas = plot.canvas, ctx = plot.context;
+    var offset = $('#divTimeseriesScroll').scrollLeft();
+    var zoom = timeseriesZoom, columns = timeseriesColumns;
+    var first, last, every, c, r, x, state, column, h = nodes.length * plotH;
+
+    // Node labels define the width of the label column
+    ctx.font = '14px sans-serif';
     plotW = 100;
+    for (r = 0; r < nodes.length; r++)
+        plotW = Math.max(plotW, ctx.measureText(nodes[r]).width + 30);
+    $('#divTimeseriesScrollWidth').css('width', plotW + timeseriesWidth());
+
+    canvas.width = width;
+    canvas.height = h + 36;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Label every column or, if zoomed out, every 2nd, 5th, 10th, ...
+    for (every = 1; every * zoom < 30; every *= (String(every)[0] === '2' ? 2.5 : 2));
+
+    first = Math.max(0, Math.floor(offset / zoom));
+    last = Math.min(columns.length, Math.ceil((offset + width - plotW) / zoom));
+    ctx.font = '12px sans-serif';
+    ctx.textBaseline = 'top';
+    for (c = first; c < last; c++) {
+        column = columns[c];
+        if (column === null)
+            continue;
+        x = plotW + c * zoom - offset;
+        state = engine.history[column.iteration];
+        if (!state)
+            continue;
+        for (r = 0; r < nodes.length; r++) {
+            ctx.fillStyle = state[nodes[r]] ? yellow : blue;
+            ctx.fillRect(x, r * plotH, Math.ceil(zoom), plotH);
+        }
+        if (column.cycle) {
+            ctx.fillStyle = '#FF4538';
+            ctx.fillRect(x, h + 20, Math.ceil(zoom), 5);
+        }
+        if (column.perturbations && column.perturbations.length > 0)
+            paintTimeseriesPerturbations(ctx, x, nodes, column.perturbations);
+        if (column.step % every === 0) {
+            ctx.fillStyle = 'black';
+            ctx.fillText(String(column.step + 1), x + 2, h + 3);
+        }
+    }
+
+    // Iterator position, and where it is dragged to
+    x = plotW + columns.length * zoom - offset;
+    if (x < width)
+        paintTimeseriesMarker(ctx, x, h, 1);
+    if (timeseriesMarkerTarget >= 0) {
+        x = plotW + timeseriesMarkerTarget * zoom - offset;
+        ctx.strokeStyle = 'purple';
+        ctx.strokeRect(x + 0.5, 0.5, Math.ceil(zoom) - 1, h - 1);
+        paintTimeseriesMarker(ctx, x + zoom, h, 0.5);
+    }
 
-    for (node in state) {
-        plot.append('svg:text')
-            .attr('x', 0)
-            .attr('y', function (d) { return yPos+2; })
-            .attr('dx', 10)
-            .attr('dy', 15)
-            .attr('id', 'label'+node)
-            .text(node);
-
-        var width = d3.select('#label'+node).node().getBBox()['width'];
-        if (width > plotW)
-            plotW = width;
-        yPos += plotH;
+    // Node labels, covering the columns scrolled underneath
+    ctx.clearRect(0, 0, plotW, canvas.height);
+    ctx.font = '14px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'black';
+    for (r = 0; r < nodes.length; r++)
+        ctx.fillText(nodes[r], 10, r * plotH + plotH / 2);
+
+    paintTimeseriesOverview(nodes, width, first, last);
+};
+
+/**
+ * Mark the perturbations applied in a column: the perturbed nodes are
+ * outlined and a triangle points to the column from below.
+ * @param {CanvasRenderingContext2D} ctx The context to draw to.
+ * @param {number} x The left end of the column.
+ * @param {Array} nodes The node ids.
+ * @param {Array} perturbations The perturbations.
+ */
+var paintTimeseriesPerturbations = function (ctx, x, nodes, perturbations) {
+    var h = nodes.length * plotH, zoom = Math.ceil(timeseriesZoom), i, r;
+    ctx.strokeStyle = 'black';
+    ctx.lineWidth = 2;
+    for (i = 0; i < perturbations.length; i++) {
+        r = nodes.indexOf(perturbations[i].node);
+        if (r >= 0)
+            ctx.strokeRect(x + 1, r * plotH + 1, Math.max(zoom - 2, 1), plotH - 2);
     }
-    
-    plotW += 20; // padding-right
-    
-    plot.attr('height', yPos + 50);
-};
-
-/**
- * Construct a column with all the states.
- * @param {Object} state Current state of the network.
- * @param {number} count Iteration Counter.
- */
-var createNodeStateColumn = function (state, count) {
-
-    // Calculate position of the column
-    var relativeX = count % maxColumns;
-    var yPos = 0,
-        xPos = plotW + relativeX * plotH;
-    var color;
-
-    // Replace previous column
-    removeNodeStateColumn(relativeX);
-
-    for (node in state) {
-        if (state[node])
-            color = yellow;
-        else
-            color = blue;
-        // Add a rectangle of required color
-        plot.append('svg:rect')
-            .attr('class', 'rect' + relativeX)
-            .attr('x', xPos)
-            .attr('y', function (d) {
-                return yPos;
-            })
-            .attr('width', plotH)
-            .attr('height', plotH)
-            .attr('fill', color);
-        yPos += plotH;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x + zoom / 2, h + 27);
+    ctx.lineTo(x + zoom / 2 + 5, h + 35);
+    ctx.lineTo(x + zoom / 2 - 5, h + 35);
+    ctx.closePath();
+    ctx.fillStyle = 'black';
+    ctx.fill();
+};
+
+/**
+ * Draw the iterator position marker.
+ * @param {CanvasRenderingContext2D} ctx The context to draw to.
+ * @param {number} x The left end of the marker.
+ * @param {number} h The height of the marker.
+ * @param {number} alpha The opacity.
+ */
+var paintTimeseriesMarker = function (ctx, x, h, alpha) {
+    ctx.globalAlpha = alpha;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x + plotH, h / 2);
+    ctx.lineTo(x, h);
+    ctx.closePath();
+    ctx.fillStyle = 'lime';
+    ctx.strokeStyle = 'purple';
+    ctx.fill();
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+};
+
+/**
+ * Draw all columns into the overview and mark the part in view.
+ * @param {Array} nodes The node ids.
+ * @param {number} width The width of the view.
+ * @param {number} first The first column in view.
+ * @param {number} last The column after the last one in view.
+ */
+var paintTimeseriesOverview = function (nodes, width, first, last) {
+    var canvas = plot.overview, ctx = plot.overviewContext;
+    var columns = timeseriesColumns, n = columns.length;
+    var rowH = Math.max(1, Math.floor(overviewH / Math.max(nodes.length, 1)));
+    var w = width - plotW, x, x1, c, r, state;
+
+    canvas.width = width;
+    canvas.height = rowH * nodes.length + 2;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (n === 0 || w <= 0)
+        return;
+
+    ctx.font = '12px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'black';
+    ctx.fillText('Overview', 10, canvas.height / 2);
+
+    // With more columns than pixels every pixel shows one of its columns
+    for (x = 0; x < w; x = x1) {
+        c = Math.floor(x * n / w);
+        x1 = n < w ? Math.floor((c + 1) * w / n) : x + 1;
+        state = columns[c] === null ? null : engine.history[columns[c].iteration];
+        if (!state)
+            continue;
+        for (r = 0; r < nodes.length; r++) {
+            ctx.fillStyle = state[nodes[r]] ? yellow : blue;
+            ctx.fillRect(plotW + x, 1 + r * rowH, x1 - x, rowH);
+        }
     }
 
-    // Iteration count text on the bottom
-    plot.append('svg:text')
-        .attr('class', 'timeseriesLabelCounter')
-        .attr('id', 'text' + relativeX)
-        .attr('x', xPos).attr('y', function (d) { return yPos; })
-        .attr('dx', 5).attr('dy', 15)
-        //.attr('transform', 'rotate(90 2,2)')
-        .text(timeseriesLabelCounter);
-        //.attr('transform', 'rotate(90 0,15)');
-    timeseriesLabelCounter += 1;
+    ctx.strokeStyle = 'black';
+    ctx.strokeRect(plotW + Math.floor(first * w / n) + 0.5, 0.5,
+                   Math.max(2, Math.ceil((last - first) * w / n) - 1), canvas.height - 1);
+};
 
-    // Add the marker (cursor) for current iteration
-/*    plot.append('svg:rect')
-        .attr('height', yPos)
-        .attr('width', 15)
-        .attr('id', 'currMarker')
-        .attr('x', xPos + plotH);
-        */
-    plot.append('svg:polygon')
-        .attr('id', 'currMarker')
-        .attr('points', (xPos+plotH)+',0 '+(xPos+(plotH*2))+','+parseInt(yPos/2)+' '+(xPos+plotH)+','+yPos);
+/**
+ * Find the column at a position of the time series canvas.
+ * @param {number} x The x coordinate relative to the canvas.
+ * @returns {number} The index of the column, -1 if there is none.
+ */
+var timeseriesColumnAt = function (x) {
+    var c = Math.floor((x - plotW + $('#divTimeseriesScroll').scrollLeft()) / timeseriesZoom);
+    if (x < plotW || c >= timeseriesColumns.length || timeseriesColumns[c] === null)
+        return -1;
+    return c;
 };
 
 /**
- * Delete a column before replacing it.
- * @param {number} index The index of the column to be deleted.
+ * Change the width of the columns, keeping the column at the given position
+ * in place.
+ * @param {number} zoom The new width, between 1 and plotH.
+ * @param {number} anchor The x coordinate relative to the canvas, default
+ * the center of the view.
  */
-var removeNodeStateColumn = function (index) {
-    index = index % maxColumns;
-    $('.rect' + index).remove();
-    $('#text' + index).remove();
-    $('#currMarker').remove();
+var zoomTimeseries = function (zoom, anchor) {
+    var scroll = $('#divTimeseriesScroll');
+    var offset = scroll.scrollLeft(), column;
+    zoom = Math.max(1, Math.min(plotH, zoom));
+    if (typeof (anchor) === 'undefined')
+        anchor = plotW + (scroll.width() - plotW) / 2;
+    column = (offset + anchor - plotW) / timeseriesZoom;
+    timeseriesZoom = zoom;
+    $('#sliderTimeseriesZoom').slider('option', 'value', zoom);
+    $('#divTimeseriesScrollWidth').css('width', plotW + timeseriesWidth());
+    if (!timeseriesFollow)
+        scroll.scrollLeft(column * zoom - anchor + plotW);
+    updateTimeseriesScroll();
+    drawTimeseries();
+};
+
+/**
+ * Event handler for the zoom slider of the time series.
+ */
+var onTimeseriesZoomSlider = function (event, ui) {
+    zoomTimeseries(ui.value);
+};
+
+/**
+ * Event handler for the mouse wheel over the time series: Alt+wheel zooms
+ * the time axis.
+ */
+var onTimeseriesWheel = function (event) {
+    var delta = event.originalEvent.wheelDelta || -event.originalEvent.detail || -event.originalEvent.deltaY;
+    if (!event.altKey)
+        return;
+    event.preventDefault();
+    zoomTimeseries(timeseriesZoom * (delta > 0 ? 1.25 : 0.8), event.pageX - $(this).offset().left);
+};
+
+/**
+ * Event handler for scrolling the time series. Scrolling to the end makes
+ * the view follow the simulation again.
+ */
+var onTimeseriesScroll = function () {
+    var scroll = $('#divTimeseriesScroll');
+    timeseriesFollow = scroll.scrollLeft() >= plotW + timeseriesWidth() - scroll.width() - timeseriesZoom;
+    drawTimeseries();
+};
+
+/**
+ * Event handler for the mouse over the time series, showing the iteration
+ * under the mouse as tooltip and moving the dragged marker.
+ */
+var onTimeseriesMouseMove = function (event) {
+    var c = timeseriesColumnAt(event.pageX - $(this).offset().left), title = '', column, i;
+    if (c >= 0) {
+        column = timeseriesColumns[c];
+        title = 'Iteration ' + (column.step + 1);
+        if (column.cycle)
+            title += ', cycle of length ' + column.cycle;
+        if (column.perturbations && column.perturbations.length > 0)
+            title += ', perturbed: ' + column.perturbations.map(formatPerturbation).join(', ');
+        if (column.hasOwnProperty('branchedFrom')) {
+            for (i = 0; timeseriesColumns[i] === null || timeseriesColumns[i].iteration !== column.branchedFrom; i++);
+            title += ', branched from iteration ' + (timeseriesColumns[i].step + 1) + ' of run ' +
+                (timeseriesRun(timeseriesRuns, column.branchedFrom) + 1);
+        }
+        title += '. Click to continue from here.';
+    }
+    $(this).attr('title', title);
+    if (timeseriesMarkerDrag && c !== timeseriesMarkerTarget) {
+        timeseriesMarkerTarget = c;
+        drawTimeseries();
+    }
+};
+
+/**
+ * Event handler for pressing the mouse button over the time series: start
+ * dragging the iterator position marker, if it was hit.
+ */
+var onTimeseriesMouseDown = function (event) {
+    var x = event.pageX - $(this).offset().left - plotW + $('#divTimeseriesScroll').scrollLeft();
+    var y = event.pageY - $(this).offset().top;
+    var marker = timeseriesColumns.length * timeseriesZoom;
+    if (x >= marker && x < marker + plotH && y < Object.keys(network.state).length * plotH) {
+        event.preventDefault();
+        timeseriesMarkerDrag = true;
+    }
+};
+
+/**
+ * Event handler for releasing the mouse button over the time series, which
+ * continues from the column clicked or the marker was dragged to.
+ */
+var onTimeseriesMouseUp = function (event) {
+    var c = timeseriesColumnAt(event.pageX - $(this).offset().left);
+    var dragged = timeseriesMarkerDrag;
+    timeseriesMarkerDrag = false;
+    timeseriesMarkerTarget = -1;
+    if (event.type === 'mouseleave') {
+        if (dragged)
+            drawTimeseries();
+        return;
+    }
+    if (c >= 0)
+        rewindTimeseries(c);
+    else if (dragged)
+        drawTimeseries();
+};
+
+/**
+ * Set the network to the state of a column, like a debugger stepping back.
+ * The trajectory branches: the state is appended as first state of a new
+ * run, so that the states after the column remain in the time series. If
+ * the current run is such a branch and was not simulated yet, it branches
+ * from the new column instead.
+ * @param {number} c The index of the column.
+ */
+var rewindTimeseries = function (c) {
+    var column = timeseriesColumns[c];
+    var last = timeseriesColumns[timeseriesColumns.length - 1];
+    if (running)
+        stopSimulator();
+    if (column.iteration === engine.iteration)
+        return;
+    if (last.step === 0 && last.hasOwnProperty('branchedFrom')) {
+        last.branchedFrom = column.iteration;
+        timeseriesBranches[last.iteration] = column.iteration;
+        engine.rebranch(column.iteration);
+    } else
+        engine.branch(column.iteration);
+    drawTimeseries();
+};
+
+/**
+ * Event handler for clicking or dragging in the overview, scrolling the
+ * time series to the position.
+ */
+var onTimeseriesOverviewMouse = function (event) {
+    var canvas = $('#canvasTimeseriesOverview');
+    var scroll = $('#divTimeseriesScroll');
+    var w = canvas.width() - plotW;
+    var x = event.pageX - canvas.offset().left - plotW;
+    if (event.type === 'mouseup' || event.type === 'mouseleave') {
+        timeseriesOverviewDrag = false;
+        return;
+    }
+    if (event.type === 'mousedown')
+        timeseriesOverviewDrag = true;
+    if (!timeseriesOverviewDrag || w <= 0 || timeseriesColumns.length === 0)
+        return;
+    event.preventDefault();
+    scroll.scrollLeft(x / w * timeseriesColumns.length * timeseriesZoom - (scroll.width() - plotW) / 2);
 };
 
 /*
- * Create the Heatmap Plotter.
+ * Create the canvases of the time series, unless they exist.
  */
 var createPlotter = function () {
 
     if (plot !== null) return;
 
-    // remove old plot
-    $('#divTimeseries > svg').remove();
-
-    // Use d3 to create the initial svg with the start states
-    plot = d3.select('#divTimeseries').append('svg:svg').attr('xmlns', 'http://www.w3.org/2000/svg');
-    createNodeLabelColumn(network.state);
-
-    for (var j = iterationCounter - iterationCounter % maxColumns; j <= iterationCounter; j++)
-        createNodeStateColumn(states[j], j);
-    skipped = 0;
+    var canvas = $('#canvasTimeseries')[0], overview = $('#canvasTimeseriesOverview')[0];
+    plot = {
+        canvas: canvas,
+        context: canvas.getContext('2d'),
+        overview: overview,
+        overviewContext: overview.getContext('2d')
+    };
+    updateTimeseriesScroll();
+    drawTimeseries();
 };
 
 /*
  * Re-create time series plot,
- * reset cursor to position 1 
+ * reset cursor to position 1
+ * Event handler for the simulation engine's reset event.
  */
 var resetTimeseries = function () {
     initialIndex = 0;
-    iterationCounter = 0;
     timeseriesLabelCounter = 1;
-    skipped = 0;
+    timeseriesRuns = [0];
+    timeseriesBranches = {};
+    timeseriesColumns = [{ iteration: engine.iteration, step: 0 }];
+    timeseriesFollow = true;
     $('#textIteration').text(timeseriesLabelCounter);
-    states = [];
-    states.push({});
-    $.extend(states[0], network.state);
     plot = null;
     createPlotter();
 };
 
 /*
- * Re-create time series plot
+ * Append a column for the new state.
+ * Event handler for the simulation engine's step event.
+ */
+var onTimeseriesStep = function (event) {
+    var last = timeseriesColumns[timeseriesColumns.length - 1];
+    timeseriesLabelCounter = last.step + 2;
+    timeseriesColumns.push({ iteration: event.iteration, step: last.step + 1 });
+    $('#textIteration').text(timeseriesLabelCounter);
+    updateTimeseriesScroll();
+    drawTimeseries();
+};
+
+/*
+ * Start a new run in the time series, separated from the previous one by
+ * an empty column, see startSimulator.
+ */
+var startTimeseriesRun = function () {
+    // The current run was not simulated yet
+    if (timeseriesColumns[timeseriesColumns.length - 1].step === 0)
+        return;
+    timeseriesLabelCounter = 1;
+    timeseriesColumns.push(null);
+    timeseriesColumns.push({ iteration: engine.iteration, step: 0 });
+    if (timeseriesRuns[timeseriesRuns.length - 1] !== engine.iteration)
+        timeseriesRuns.push(engine.iteration);
+    updateTimeseriesScroll();
+    drawTimeseries();
+};
+
+/*
+ * Start a new run in the time series with the state branched to.
+ * Event handler for the simulation engine's branch event.
+ */
+var onTimeseriesBranch = function (event) {
+    timeseriesLabelCounter = 1;
+    timeseriesColumns.push(null);
+    timeseriesColumns.push({ iteration: event.iteration, step: 0, branchedFrom: event.from });
+    timeseriesRuns.push(event.iteration);
+    timeseriesBranches[event.iteration] = event.from;
+    $('#textIteration').text(timeseriesLabelCounter);
+    updateTimeseriesScroll();
+    drawTimeseries();
+};
+
+/*
+ * Remove the columns of the undone iteration and, if it was the first
+ * one of a run, the run.
+ * Event handler for the simulation engine's back event.
+ */
+var onTimeseriesBack = function (event) {
+    var columns = timeseriesColumns, c;
+    while (columns.length > 1 && (columns[columns.length - 1] === null ||
+                                  columns[columns.length - 1].iteration > event.iteration))
+        columns.pop();
+    while (timeseriesRuns.length > 1 && timeseriesRuns[timeseriesRuns.length - 1] > event.iteration)
+        delete timeseriesBranches[timeseriesRuns.pop()];
+    // The cycle is not complete anymore
+    if (engine.cycle === null) {
+        for (c = columns.length - 1; c >= 0 && columns[c] !== null; c--)
+            delete columns[c].cycle;
+    }
+    initialIndex = Math.min(initialIndex, event.iteration);
+    timeseriesLabelCounter = columns[columns.length - 1].step + 1;
+    $('#textIteration').text(timeseriesLabelCounter);
+    updateTimeseriesScroll();
+    drawTimeseries();
+};
+
+/*
+ * Mark the columns belonging to a cyclic attractor with a bar below the
+ * time series.
+ * Event handler for the simulation engine's cycle event.
+ */
+var highlightTimeseriesCycle = function (event) {
+    var c, column;
+    for (c = timeseriesColumns.length - 1; c >= 0; c--) {
+        column = timeseriesColumns[c];
+        if (column === null || column.iteration < event.firstIteration)
+            break;
+        if (column.iteration < event.iteration)
+            column.cycle = event.length;
+    }
+    drawTimeseries();
+};
+
+/*
+ * Re-create time series plot, e.g. after nodes were added or removed.
  */
 var updateTimeseries = function () {
-    // update Time series
     plot = null;
-    timeseriesLabelCounter = parseInt($('#text0').text());
-    console.log(timeseriesLabelCounter);
-    if (timeseriesLabelCounter === "NaN")
-        timeseriesLabelCounter = 1;
     createPlotter();
 };
+
+/*
+ * Draw the whole time series as SVG, for exporting it. Neighbouring cells
+ * of the same state are drawn as one rectangle.
+ * @returns {string} The SVG document.
+ */
+var timeseriesSVG = function () {
+    var nodes = Object.keys(network.state), columns = timeseriesColumns;
+    var h = nodes.length * plotH, labelW = 0, svg = [], c, r, start, value, column, state, x;
+    var rect = function (x, y, width, height, color) {
+        return '<rect x="' + x + '" y="' + y + '" width="' + width + '" height="' + height + '" fill="' + color + '"/>';
+    };
+
+    for (r = 0; r < nodes.length; r++)
+        labelW = Math.max(labelW, 8 * nodes[r].length + 30);
+    for (r = 0; r < nodes.length; r++) {
+        svg.push('<text x="10" y="' + (r * plotH + 15) + '" font-size="14">' + nodes[r] + '</text>');
+        start = -1;
+        for (c = 0; c <= columns.length; c++) {
+            state = c < columns.length && columns[c] !== null ? engine.history[columns[c].iteration] : null;
+            if (start >= 0 && (state === null || state[nodes[r]] !== value)) {
+                svg.push(rect(labelW + start * plotH, r * plotH, (c - start) * plotH, plotH, value ? yellow : blue));
+                start = -1;
+            }
+            if (state !== null && start < 0) {
+                start = c;
+                value = state[nodes[r]];
+            }
+        }
+    }
+    for (c = 0; c < columns.length; c++) {
+        column = columns[c];
+        if (column === null)
+            continue;
+        svg.push('<text x="' + (labelW + c * plotH + 5) + '" y="' + (h + 15) + '" font-size="12">' + (column.step + 1) + '</text>');
+        if (column.cycle)
+            svg.push(rect(labelW + c * plotH, h + 20, plotH, 5, '#FF4538'));
+        if (column.perturbations && column.perturbations.length > 0) {
+            x = labelW + c * plotH;
+            column.perturbations.forEach(function (perturbation) {
+                var row = nodes.indexOf(perturbation.node);
+                if (row >= 0)
+                    svg.push('<rect x="' + (x + 1) + '" y="' + (row * plotH + 1) + '" width="' + (plotH - 2) + '" height="' +
+                             (plotH - 2) + '" fill="none" stroke="black" stroke-width="2"/>');
+            });
+            x += plotH / 2;
+            svg.push('<polygon points="' + x + ',' + (h + 27) + ' ' + (x + 5) + ',' + (h + 35) + ' ' +
+                     (x - 5) + ',' + (h + 35) + '" fill="black"><title>' +
+                     column.perturbations.map(formatPerturbation).join(', ') + '</title></polygon>');
+        }
+    }
+    c = labelW + columns.length * plotH;
+    svg.push('<polygon points="' + c + ',0 ' + (c + plotH) + ',' + Math.round(h / 2) + ' ' + c + ',' + h +
+             '" fill="lime" stroke="purple" stroke-width="1"/>');
+
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="' + (c + plotH + 20) + '" height="' + (h + 36) + '">\n' +
+        svg.join('\n') + '\n</svg>\n';
+};
@@ -1,11 +1,16 @@
 var serverURL = "http://127.0.0.1:8000/biographer";
 var debug = true;
 var simDelay = 400;
+// The delays selectable with the speed slider, from slow to fast
+var simulationDelays = [2000, 1000, 700, 400, 200, 100, 50, 20, 0];
 
 var showPassedSteadyStatesTab = false;
 
 var blue = '#3390F7';
 var yellow = '#daf403';
+// Outline of knocked out and of overexpressed nodes
+var knockoutColor = '#000000';
+var overexpressionColor = '#FF8C00';
 
 // If debugging or testing code
 if (debug) {